@@ -0,0 +1,84 @@
+/**
+ * load_engines.js
+ * Loads the browser engine scripts (js/*.js) into a Node VM context so they run outside the browser.
+ * The scripts are plain classic scripts sharing one global scope, exactly as index.html loads them;
+ * the context supplies the globals the page would: `window` (the context itself) and `Decimal`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Decimal = require('decimal.js');
+
+/**
+ * Engine scripts in index.html order (app.js is UI only and is not loaded).
+ */
+const ENGINE_SCRIPTS = [
+    'models.js',
+    'tax_system.js',
+    'benefit_design.js',
+    'corporate_tax.js',
+    'price_level.js',
+    'macro_model.js',
+    'welfare_programs.js',
+    'funding_sources.js',
+    'rollout.js',
+    'indexation.js',
+    'demographics.js',
+    'job_groups.js',
+    'public_finance.js',
+    'poverty.js',
+    'household_import.js',
+    'scenario_store.js',
+    'report_export.js',
+    'engine.js',
+    'funding_solver.js',
+    'uncertainty.js',
+    'sensitivity.js',
+    'timeline_engine.js',
+    'agent_engine.js'
+];
+
+/**
+ * Names made available to Node callers.
+ */
+const ENGINE_EXPORTS = [
+    'EconomyParameters',
+    'Household',
+    'generateHouseholdModels',
+    'TaxSchedule',
+    'FUNDING_SOURCES',
+    'SimulationEngine',
+    'FundingSolver',
+    'MonteCarloSimulation',
+    'SensitivityAnalysis',
+    'TimelineEngine',
+    'AgentSimulationEnvironment',
+    'createSeededRandom',
+    'restoreScenario',
+    'importHouseholds',
+    'rowsToCSV',
+    'householdResultsTable',
+    'timelineTable',
+    'formatImportError'
+];
+
+/**
+ * @param {string} jsDir - Directory of the engine scripts
+ * @returns {Object} { Decimal, EconomyParameters, SimulationEngine, TimelineEngine, AgentSimulationEnvironment, ... }
+ */
+function loadEngines(jsDir = path.join(__dirname, '..', 'js')) {
+    const context = vm.createContext({ console, Decimal });
+    context.window = context;
+
+    ENGINE_SCRIPTS.forEach(file => {
+        const filename = path.join(jsDir, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Top-level classes and functions of classic scripts live in the shared global scope, not on `window`
+    const engines = vm.runInContext(`({ ${ENGINE_EXPORTS.join(', ')} })`, context);
+    return { Decimal, ...engines };
+}
+
+module.exports = { ENGINE_SCRIPTS, loadEngines };
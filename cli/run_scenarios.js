@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * run_scenarios.js
+ * Headless batch runner. Reads scenario files, runs SimulationEngine, TimelineEngine and
+ * AgentSimulationEnvironment for each scenario and writes CSV / JSON results.
+ *
+ * Usage: node cli/run_scenarios.js <scenario.json | directory>... [--out results] [--format csv|json|both]
+ *
+ * Scenario file: one scenario object or an array of them (scenarios saved in the browser use the same format).
+ * Unspecified inputs take the defaults of EconomyParameters, DEFAULT_AI_SCENARIO and DEFAULT_AGENT_SETTINGS.
+ *   {
+ *     "name": "vat_plus_10",                        // Output folder name (defaults to the file name; no "/", "." or "..")
+ *     "parameters": { "consumptionTaxRateIncrease": 0.1, "modelAssumptions": { "bondMultiplier": 0.3 } },
+ *     "households": "data/households.csv",          // Optional dataset (CSV / JSON, relative to the scenario file)
+ *     "aiScenario": { "pace": "base", "investment": 50, "years": 30 },   // Optional "jobGroups": [...] (js/job_groups.js)
+ *     "agents": { "households": 200, "personsPerHousehold": 2, "years": 10, "seed": 1 }  // null skips the agent run
+ *   }
+ *
+ * Output (deterministic, so results can be diffed in version control):
+ *   <out>/summary.csv                  One row of headline metrics per scenario
+ *   <out>/<name>/result.json           Everything below in one file (format json / both)
+ *   <out>/<name>/households.csv        Per-household impact (format csv / both)
+ *   <out>/<name>/timeline.csv          Yearly TimelineEngine series
+ *   <out>/<name>/agents.csv            Monthly agent-based history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngines } = require('./load_engines');
+
+const USAGE = 'Usage: node cli/run_scenarios.js <scenario.json | directory>... [--out results] [--format csv|json|both]';
+
+function parseArgs(argv) {
+    const options = { inputs: [], out: 'results', format: 'both' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        else options.inputs.push(arg);
+    }
+    if (!['csv', 'json', 'both'].includes(options.format)) {
+        throw new Error(`--format must be csv, json or both (got "${options.format}")`);
+    }
+    if (!options.out) throw new Error('--out needs a directory');
+    return options;
+}
+
+/**
+ * Expands directories into their *.json files (sorted, so runs are ordered the same every time).
+ */
+function listScenarioFiles(inputs) {
+    return inputs.flatMap(input => {
+        if (!fs.statSync(input).isDirectory()) return [input];
+        return fs.readdirSync(input)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => path.join(input, file));
+    });
+}
+
+/**
+ * Reads the scenarios of one file, resolving names and dataset paths.
+ */
+function readScenarios(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const list = Array.isArray(data) ? data : [data];
+    const baseName = path.basename(file, '.json');
+    return list.map((scenario, index) => ({
+        ...scenario,
+        name: scenario.name || (list.length > 1 ? `${baseName}_${index + 1}` : baseName),
+        households: scenario.households ? path.resolve(path.dirname(file), scenario.households) : null,
+        source: file
+    }));
+}
+
+/**
+ * Converts Decimals (and nested objects / arrays of them) into plain numbers.
+ */
+function toPlain(value, Decimal) {
+    if (value instanceof Decimal) return value.toNumber();
+    if (Array.isArray(value)) return value.map(item => toPlain(item, Decimal));
+    if (value && typeof value === 'object') {
+        const plain = {};
+        Object.entries(value).forEach(([key, item]) => {
+            plain[key] = toPlain(item, Decimal);
+        });
+        return plain;
+    }
+    return value;
+}
+
+/**
+ * Runs every engine for one scenario.
+ * @returns {Object} { name, parameters, static, households, timeline, agents } - plain data
+ */
+function runScenario(scenario, engines) {
+    const { Decimal, SimulationEngine, TimelineEngine, AgentSimulationEnvironment } = engines;
+    const { params, aiScenario, agents: agentSettings } = engines.restoreScenario(scenario);
+
+    let households;
+    if (scenario.households) {
+        const format = scenario.households.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        const imported = engines.importHouseholds(fs.readFileSync(scenario.households, 'utf8'), format, params);
+        if (imported.errors.length > 0) {
+            throw new Error(imported.errors.map(engines.formatImportError).join('\n'));
+        }
+        households = imported.households;
+    } else {
+        households = engines.generateHouseholdModels(params);
+    }
+
+    const engine = new SimulationEngine(params, households);
+    const results = engine.run();
+
+    const timeline = new TimelineEngine(aiScenario.jobGroups).runSimulation(params, aiScenario);
+
+    let agents = null;
+    if (scenario.agents !== null) {
+        const sim = new AgentSimulationEnvironment(agentSettings.households, agentSettings.personsPerHousehold, {
+            random: engines.createSeededRandom(agentSettings.seed)
+        });
+        const history = sim.run(agentSettings.years, {
+            child: params.monthlyUBIChild,
+            adult: params.monthlyUBI,
+            elderly: params.monthlyUBIElderly
+        });
+        const persons = Object.values(sim.persons);
+        agents = {
+            settings: agentSettings,
+            history,
+            avgHappiness: persons.reduce((sum, p) => sum + p.happiness, 0) / persons.length
+        };
+    }
+
+    return {
+        name: scenario.name,
+        source: scenario.source,
+        parameters: JSON.parse(JSON.stringify(params)),
+        aiScenario,
+        static: toPlain(results, Decimal),
+        households: engines.householdResultsTable(households, hh => engine.getWeight(hh)),
+        timeline: engines.timelineTable(timeline),
+        agents
+    };
+}
+
+/**
+ * Headline metrics of one scenario for summary.csv.
+ * @param {Array<FundingSource>} fundingSources - Every registered source gets a column, so headers match across scenarios
+ */
+function summaryRow(output, fundingSources) {
+    const s = output.static;
+    const lastYear = output.timeline[output.timeline.length - 1];
+    const lastAgentStep = output.agents ? output.agents.history[output.agents.history.length - 1] : null;
+    const trillion = (value) => value / 1000000000000;
+    return {
+        name: output.name,
+        totalCostTrillion: trillion(s.totalAnnualCost),
+        shortfallTrillion: trillion(s.shortfall),
+        incomeTaxTrillion: trillion(s.fundingBreakdown.incomeTax),
+        consumptionTaxTrillion: trillion(s.fundingBreakdown.consumptionTax),
+        corporateTaxTrillion: trillion(s.fundingBreakdown.corporateTax),
+        ...Object.fromEntries(fundingSources.map(({ id }) => [`${id}Trillion`, trillion(s.fundingBreakdown[id] || 0)])),
+        welfareCutsTrillion: trillion(s.fundingBreakdown.welfareCuts),
+        bondsTrillion: trillion(s.fundingBreakdown.bonds),
+        gdpImpact: s.gdpImpact,
+        nominalGdpImpact: s.nominalGdpImpact,
+        priceLevelChange: s.priceLevel.total * 100,
+        povertyRateBefore: s.poverty.before.povertyRate,
+        povertyRateAfter: s.poverty.after.povertyRate,
+        childPovertyRateAfter: s.poverty.after.childPovertyRate,
+        finalYear: lastYear.year,
+        finalGdp: lastYear.gdp,
+        finalRealGdp: lastYear.realGdp,
+        finalDebt: lastYear.debt,
+        finalUnemployment: lastYear.unemployment,
+        finalLaborSupplyChange: lastYear.laborSupplyChange,
+        agentPovertyRate: lastAgentStep ? lastAgentStep.povertyRate : '',
+        agentAvgWorkHours: lastAgentStep ? lastAgentStep.avgWorkHours : '',
+        agentAvgHappiness: output.agents ? output.agents.avgHappiness : ''
+    };
+}
+
+/**
+ * Output folder of a scenario: a direct child of outDir, so a name cannot write elsewhere ("../x", "a/b", "..").
+ */
+function scenarioOutputDir(outDir, name) {
+    const root = path.resolve(outDir);
+    const dir = path.resolve(root, name);
+    if (path.dirname(dir) !== root || path.basename(dir) !== name) {
+        throw new Error(`Scenario name "${name}" cannot be used as a folder name (no path separators, "." or "..")`);
+    }
+    return dir;
+}
+
+function writeOutput(output, outDir, format, { rowsToCSV }) {
+    const dir = scenarioOutputDir(outDir, output.name);
+    fs.mkdirSync(dir, { recursive: true });
+    if (format !== 'csv') {
+        fs.writeFileSync(path.join(dir, 'result.json'), JSON.stringify(output, null, 2) + '\n');
+    }
+    if (format !== 'json') {
+        fs.writeFileSync(path.join(dir, 'households.csv'), rowsToCSV(output.households));
+        fs.writeFileSync(path.join(dir, 'timeline.csv'), rowsToCSV(output.timeline));
+        if (output.agents) fs.writeFileSync(path.join(dir, 'agents.csv'), rowsToCSV(output.agents.history));
+    }
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help || options.inputs.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    const engines = loadEngines();
+    const scenarios = listScenarioFiles(options.inputs).flatMap(readScenarios);
+    const names = new Set();
+    const summary = [];
+    let failures = 0;
+
+    scenarios.forEach(scenario => {
+        try {
+            if (names.has(scenario.name)) throw new Error(`Duplicate scenario name "${scenario.name}"`);
+            names.add(scenario.name);
+
+            const output = runScenario(scenario, engines);
+            writeOutput(output, options.out, options.format, engines);
+            summary.push(summaryRow(output, engines.FUNDING_SOURCES));
+            console.log(`✓ ${scenario.name}`);
+        } catch (e) {
+            failures++;
+            console.error(`✗ ${scenario.name} (${scenario.source}): ${e.message}`);
+        }
+    });
+
+    if (summary.length > 0) {
+        fs.mkdirSync(options.out, { recursive: true });
+        fs.writeFileSync(path.join(options.out, 'summary.csv'), engines.rowsToCSV(summary));
+    }
+    console.log(`${summary.length} scenario(s) written to ${options.out}, ${failures} failed`);
+    return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { runScenario, summaryRow };
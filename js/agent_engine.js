@@ -5,14 +5,28 @@
  */
 
 // Utility for random normal distribution (Box-Muller transform)
-function randomNormal(mean, std) {
+function randomNormal(mean, std, random = Math.random) {
     let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
+    while (u === 0) u = random();
+    while (v === 0) v = random();
     const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
     return mean + z * std;
 }
 
+/**
+ * Seeded uniform [0, 1) generator (mulberry32) for reproducible agent runs.
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 class PersonAgent {
     constructor({ id, age, hourlyWage, workHours, householdId }) {
         this.id = id;
@@ -25,16 +39,26 @@ class PersonAgent {
         this.stress = 0;
     }
 
+    /**
+     * Monthly UBI for this agent's age group.
+     * @param {Object} policy - { benefits: { child, adult, elderly } }
+     */
+    getBenefit(policy) {
+        return policy.benefits[getAgeGroup(this.age)];
+    }
+
     /**
      * Agent decision step
-     * @param {Object} policy - { ubiAmount, incomeTaxRate }
+     * @param {Object} policy - { benefits: { child, adult, elderly }, incomeTaxRate }
      * @param {number} basicNeed - Monthly basic living cost (e.g., 150000)
      */
     step(policy, basicNeed) {
+        const ubiAmount = this.getBenefit(policy);
+
         // 1. Labor Supply Decision
         // Simple logic: if basic needs are not met by UBI, work to fill the gap.
         // Gap = BasicNeed - UBI
-        const gap = Math.max(0, basicNeed - policy.ubiAmount);
+        const gap = Math.max(0, basicNeed - ubiAmount);
 
         // Target weekly work hours to fill the gap
         // Income = HourlyWage * Hours * 4 weeks
@@ -50,7 +74,7 @@ class PersonAgent {
 
         // 2. Income & Consumption
         const incomeLabor = this.hourlyWage * this.workHours * 4;
-        const incomeTotal = incomeLabor + policy.ubiAmount;
+        const incomeTotal = incomeLabor + ubiAmount;
 
         // Tax (simplified flat tax on total income for prototype)
         const tax = incomeTotal * policy.incomeTaxRate;
@@ -73,9 +97,10 @@ class PersonAgent {
 }
 
 class HouseholdAgent {
-    constructor({ id, memberIds }) {
+    constructor({ id, memberIds, children = 0 }) {
         this.id = id;
         this.memberIds = memberIds;
+        this.children = children; // Dependent children (not modelled as working agents)
         this.totalIncome = 0;
         this.isPoor = false;
     }
@@ -100,11 +125,17 @@ class HouseholdAgent {
 }
 
 class AgentSimulationEnvironment {
-    constructor(nHouseholds = 200, personsPerHousehold = 2) {
+    /**
+     * @param {number} nHouseholds
+     * @param {number} personsPerHousehold
+     * @param {Object} options - { random: uniform [0, 1) generator (Math.random by default; seed it for reproducible runs) }
+     */
+    constructor(nHouseholds = 200, personsPerHousehold = 2, { random = Math.random } = {}) {
         this.nHouseholds = nHouseholds;
         this.personsPerHousehold = personsPerHousehold;
+        this.random = random;
         this.policy = {
-            ubiAmount: 0,        // Configured at runtime
+            benefits: { child: 0, adult: 0, elderly: 0 }, // Monthly UBI by age group, configured at runtime
             incomeTaxRate: 0.2
         };
         this.basicNeed = 150000;
@@ -125,12 +156,12 @@ class AgentSimulationEnvironment {
             const currentMemberIds = [];
             for (let i = 0; i < this.personsPerHousehold; i++) {
                 // Random wage: Mean 1500, SD 500, Min 850 (Minimum wage proxy)
-                let wage = randomNormal(1500, 500);
+                let wage = randomNormal(1500, 500, this.random);
                 if (wage < 850) wage = 850;
 
                 const p = new PersonAgent({
                     id: pid,
-                    age: Math.floor(20 + Math.random() * 40),
+                    age: Math.floor(20 + this.random() * 55), // 20-74 (includes elderly recipients)
                     hourlyWage: wage,
                     workHours: 40, // Start full time
                     householdId: hid
@@ -139,12 +170,20 @@ class AgentSimulationEnvironment {
                 currentMemberIds.push(pid);
                 pid++;
             }
-            this.households[hid] = new HouseholdAgent({ id: hid, memberIds: currentMemberIds });
+            this.households[hid] = new HouseholdAgent({
+                id: hid,
+                memberIds: currentMemberIds,
+                children: Math.floor(this.random() * 3) // 0-2 dependent children
+            });
         }
     }
 
-    run(years, ubiMonthly) {
-        this.policy.ubiAmount = ubiMonthly;
+    /**
+     * @param {number} years - Simulation length
+     * @param {Object} benefits - Monthly UBI by age group { child, adult, elderly }
+     */
+    run(years, benefits) {
+        this.policy.benefits = { ...benefits };
 
         const steps = years * 12;
         const history = [];
@@ -157,9 +196,10 @@ class AgentSimulationEnvironment {
             let poorCount = 0;
             Object.values(this.households).forEach(h => {
                 h.aggregate(this.persons, this.povertyLine);
-                // Correct Poverty Check: Income (Labor) + UBI * Members
+                // Correct Poverty Check: Income (Labor) + UBI of every member (incl. children)
                 // Need to include UBI in household income for poverty check!
-                const totalHouseholdIncome = h.totalIncome + (this.policy.ubiAmount * h.memberIds.length);
+                const memberBenefits = h.memberIds.reduce((sum, pid) => sum + this.persons[pid].getBenefit(this.policy), 0);
+                const totalHouseholdIncome = h.totalIncome + memberBenefits + (this.policy.benefits.child * h.children);
                 h.isPoor = totalHouseholdIncome < this.povertyLine;
 
                 if (h.isPoor) poorCount++;
@@ -185,4 +225,5 @@ class AgentSimulationEnvironment {
 }
 
 // Export to Global
+window.createSeededRandom = createSeededRandom;
 window.AgentSimulationEnvironment = AgentSimulationEnvironment;
@@ -8,14 +8,43 @@
 
 // --- Global Variables ---
 let households = [];
+let importedHouseholdFile = null; // File name of the imported household dataset (null = default models)
 let economyParams = new EconomyParameters();
+let engine = null; // Latest SimulationEngine (static model)
+let latestTimeline = null; // Latest TimelineEngine results (for export)
+let latestAgentHistory = null; // Latest agent-based history (for export)
+// Uncertainty mode: Monte Carlo draws of the model assumptions (see uncertainty.js)
+const uncertaintySettings = {
+    enabled: false,
+    draws: 200,
+    confidence: 0.9,
+    distributions: Object.fromEntries(UNCERTAIN_ASSUMPTIONS.map(item => [item.key, { ...item.distribution }]))
+};
+let uncertaintyTimer = null;
+let cancelUncertaintyRun = () => {}; // Stops the Monte Carlo run of the KPI bands in progress
+let cancelTimelineBands = () => {}; // Stops the Monte Carlo run of the timeline bands in progress
+// Agent-based simulation settings (seed null = new random agents on every run)
+let agentSettings = { ...DEFAULT_AGENT_SETTINGS };
+// Timeline job-group table (job-group editor, saved with the AI scenario)
+let jobGroupConfigs = cloneJobGroups(DEFAULT_JOB_GROUPS);
+const scenarioStore = new ScenarioStore();
+const scenarioComparison = new ScenarioComparison();
 // Charts Container
 const charts = {
     funding: null,
     impact: null,
     timeline: null,
-    agent: null
+    agent: null,
+    sensitivity: {}, // Tornado charts by metric key
+    comparison: { funding: [], households: null, timeline: null } // Pinned scenario comparison
 };
+// Funding doughnut slices; active additional funding sources (funding_sources.js) are inserted after the corporate tax
+const FUNDING_CHART_SLICES = [
+    { key: 'consumptionTax', label: '消費税増収', color: '#10B981' },
+    { key: 'incomeTax', label: '所得税増収', color: '#3B82F6' },
+    { key: 'corporateTax', label: '法人税増収', color: '#8B5CF6' },
+    { key: 'welfareCuts', label: '福祉削減', color: '#F59E0B' }
+];
 
 // --- Initialization ---
 document.addEventListener('DOMContentLoaded', () => {
@@ -23,8 +52,11 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log("TimelineEngine defined?", typeof TimelineEngine !== 'undefined');
     console.log("AgentEngine defined?", typeof AgentSimulationEnvironment !== 'undefined');
 
+    // 0. Restore a shared scenario from the URL hash
+    const sharedScenario = applyScenarioFromHash();
+
     // 1. Initialize Objects
-    households = generateHouseholdModels();
+    households = generateHouseholdModels(economyParams);
 
     // 2. Render Initial UI
     renderParametersForm();
@@ -34,6 +66,20 @@ document.addEventListener('DOMContentLoaded', () => {
     runSimulation();
 
     // 4. Bind Event Listeners
+    bindHouseholdImport();
+    bindFundingSolver();
+    bindUncertaintyControls();
+    bindSensitivityAnalysis();
+    bindScenarioControls(sharedScenario);
+    bindScenarioComparison();
+    bindExportControls();
+    bindAgentSettings();
+    bindRolloutControls();
+    bindDemographicsControls();
+    document.getElementById('btn-reset-weights').addEventListener('click', () => {
+        economyParams.householdWeights = {};
+        runSimulation();
+    });
     document.getElementById('btn-show-logic').addEventListener('click', showLogicModal);
     document.getElementById('btn-close-modal').addEventListener('click', closeLogicModal);
     document.getElementById('logic-modal').addEventListener('click', (e) => {
@@ -45,6 +91,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (btnTimeline) {
         btnTimeline.addEventListener('click', runTimelineSimulation);
     }
+    document.getElementById('timeline-years').addEventListener('change', runTimelineSimulation);
+    bindJobGroupEditor();
+    if (sharedScenario && !sharedScenario.isError) runTimelineSimulation();
 
     // Phase 3: Agent Based Simulation Event Listener
     const btnRunAgent = document.getElementById('btn-run-agent-sim');
@@ -101,30 +150,156 @@ function runSimulation() {
 
 // --- Phase 2: Timeline Simulation Logic ---
 function runTimelineSimulation() {
-    const engine = new TimelineEngine();
-
     // Get AI Scenario Inputs
-    const pace = document.getElementById('ai-pace').value;
-    const investment = parseInt(document.getElementById('ai-investment').value, 10);
+    const aiScenario = getAIScenario();
 
-    const aiScenario = { pace, investment };
+    // An invalid job-group table keeps the previous results on screen
+    const jobGroupErrors = validateJobGroups(aiScenario.jobGroups);
+    document.getElementById('job-group-errors').textContent = jobGroupErrors.join(' / ');
+    if (jobGroupErrors.length > 0) {
+        document.getElementById('job-group-editor').classList.remove('hidden');
+        return;
+    }
+    const engine = new TimelineEngine(aiScenario.jobGroups);
 
     // Run Simulation
     // Pass current economyParams (which contains tax/bond settings)
     const timelineResults = engine.runSimulation(economyParams, aiScenario);
+    latestTimeline = timelineResults;
 
     // Render Results
-    renderTimelineChart(timelineResults);
+    renderTimelineChart(timelineResults, null);
+
+    // Uncertainty mode: medians and confidence bands over Monte Carlo draws, added when the draws finish
+    cancelTimelineBands();
+    const bandStatus = document.getElementById('timeline-uncertainty-status');
+    bandStatus.textContent = '';
+    if (uncertaintySettings.enabled) {
+        cancelTimelineBands = createMonteCarloSimulation().runTimelineInChunks(aiScenario, engine, {
+            onProgress: (done, total) => {
+                bandStatus.textContent = `信頼区間を計算中... ${done} / ${total}回`;
+            },
+            onDone: (bands) => {
+                renderTimelineChart(timelineResults, bands);
+                bandStatus.textContent = `${uncertaintySettings.draws}回の試行による${Math.round(uncertaintySettings.confidence * 100)}%区間`;
+            }
+        });
+    }
+
+    // Price level and real BI value at the end of the horizon
+    const finalYear = timelineResults[timelineResults.length - 1];
+    const elPriceLevel = document.getElementById('disp-price-level');
+    if (elPriceLevel) elPriceLevel.textContent = finalYear.priceLevel.toFixed(1);
+    const elRealBi = document.getElementById('disp-real-bi');
+    if (elRealBi) elRealBi.textContent = Math.round(finalYear.realBiMonthly).toLocaleString();
+    document.getElementById('disp-horizon').textContent = finalYear.year;
+    renderJobGroupHighlights(aiScenario.jobGroups);
     renderJobGroupCards(timelineResults[timelineResults.length - 1].groups); // Show final year state
+    renderRolloutTable(timelineResults);
+    renderDebtDynamics(timelineResults);
+    renderDemographicsTable(timelineResults);
+    renderLaborSupplyTable(timelineResults);
 }
 
-function renderTimelineChart(results) {
+/**
+ * AI scenario inputs { pace, investment, years, jobGroups }
+ */
+function getAIScenario() {
+    return {
+        pace: document.getElementById('ai-pace').value,
+        investment: parseInt(document.getElementById('ai-investment').value, 10),
+        years: Math.min(TIMELINE_MAX_YEARS, Math.max(1, parseInt(document.getElementById('timeline-years').value, 10) || TIMELINE_DEFAULT_YEARS)),
+        jobGroups: cloneJobGroups(jobGroupConfigs)
+    };
+}
+
+/**
+ * Groups with the largest displacement and productivity exposure (current assumptions box)
+ */
+function renderJobGroupHighlights(groups) {
+    const top = (score) => groups.reduce((best, group) => score(group) > score(best) ? group : best);
+    document.getElementById('disp-top-displacement').textContent = top(g => g.aiExposure * g.displacementFactor).label;
+    document.getElementById('disp-top-productivity').textContent = top(g => g.aiExposure * g.productivityFactor).label;
+}
+
+/**
+ * Render the timeline chart. With Monte Carlo bands, lines show medians and shaded areas the confidence band.
+ * @param {Array} results - TimelineEngine results (point estimates)
+ * @param {Array|null} bands - MonteCarloSimulation.runTimeline results
+ */
+function renderTimelineChart(results, bands = null) {
     const ctx = document.getElementById('chart-timeline-main').getContext('2d');
     const labels = results.map(r => `Year ${r.year}`);
 
-    const dataGDP = results.map(r => r.gdp);
-    const dataDebt = results.map(r => r.debt);
-    const dataUnemp = results.map(r => r.unemploymentRate);
+    const series = (key) => bands ? bands.map(b => b[key].median) : results.map(r => r[key]);
+    const dataGDP = series('gdp');
+    const dataDebt = series('debt');
+    const dataUnemp = series('unemployment');
+
+    const datasets = [
+        {
+            label: '名目GDP (兆円)',
+            data: dataGDP,
+            borderColor: '#3B82F6', // Primary Blue
+            yAxisID: 'y',
+            tension: 0.3
+        },
+        {
+            label: '実質GDP (兆円, 0年目価格)',
+            data: series('realGdp'),
+            borderColor: '#93C5FD', // Light Blue
+            yAxisID: 'y',
+            tension: 0.3,
+            borderDash: [2, 2]
+        },
+        {
+            label: '公的債務残高 (兆円)',
+            data: dataDebt,
+            borderColor: '#EF4444', // Red
+            yAxisID: 'y',
+            tension: 0.3,
+            borderDash: [5, 5]
+        },
+        {
+            label: '完全失業率 (%)',
+            data: dataUnemp,
+            borderColor: '#F59E0B', // Amber
+            yAxisID: 'y1',
+            tension: 0.3,
+            backgroundColor: 'rgba(245, 158, 11, 0.1)',
+            fill: !bands
+        }
+    ];
+
+    if (bands) {
+        // Lower bound (invisible) + upper bound filled down to it
+        const confidenceLabel = `${Math.round(uncertaintySettings.confidence * 100)}%区間`;
+        [
+            { key: 'gdp', label: '名目GDP', color: 'rgba(59, 130, 246, 0.15)', yAxisID: 'y' },
+            { key: 'debt', label: '公的債務残高', color: 'rgba(239, 68, 68, 0.15)', yAxisID: 'y' },
+            { key: 'unemployment', label: '完全失業率', color: 'rgba(245, 158, 11, 0.2)', yAxisID: 'y1' }
+        ].forEach(band => {
+            datasets.push({
+                label: `${band.label} 下限`,
+                data: bands.map(b => b[band.key].lower),
+                borderWidth: 0,
+                pointRadius: 0,
+                yAxisID: band.yAxisID,
+                tension: 0.3,
+                fill: false
+            });
+            datasets.push({
+                label: `${band.label} ${confidenceLabel}`,
+                data: bands.map(b => b[band.key].upper),
+                borderWidth: 0,
+                pointRadius: 0,
+                backgroundColor: band.color,
+                yAxisID: band.yAxisID,
+                tension: 0.3,
+                fill: '-1'
+            });
+        });
+    }
 
     if (charts.timeline) charts.timeline.destroy();
 
@@ -132,32 +307,7 @@ function renderTimelineChart(results) {
         type: 'line',
         data: {
             labels: labels,
-            datasets: [
-                {
-                    label: '名目GDP (兆円)',
-                    data: dataGDP,
-                    borderColor: '#3B82F6', // Primary Blue
-                    yAxisID: 'y',
-                    tension: 0.3
-                },
-                {
-                    label: '公的債務残高 (兆円)',
-                    data: dataDebt,
-                    borderColor: '#EF4444', // Red
-                    yAxisID: 'y',
-                    tension: 0.3,
-                    borderDash: [5, 5]
-                },
-                {
-                    label: '完全失業率 (%)',
-                    data: dataUnemp,
-                    borderColor: '#F59E0B', // Amber
-                    yAxisID: 'y1',
-                    tension: 0.3,
-                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
-                    fill: true
-                }
-            ]
+            datasets: datasets
         },
         options: {
             responsive: true,
@@ -166,6 +316,11 @@ function renderTimelineChart(results) {
                 mode: 'index',
                 intersect: false,
             },
+            plugins: {
+                legend: {
+                    labels: { filter: (item) => !item.text.endsWith('下限') }
+                }
+            },
             scales: {
                 y: {
                     type: 'linear',
@@ -193,11 +348,16 @@ function runAgentSimulation() {
         return;
     }
 
-    const sim = new AgentSimulationEnvironment(200, 2); // 200 households
-    const ubiMonthly = parseFloat(economyParams.monthlyUBI); // Use economyParams
+    const random = agentSettings.seed !== null ? createSeededRandom(agentSettings.seed) : Math.random;
+    const sim = new AgentSimulationEnvironment(agentSettings.households, agentSettings.personsPerHousehold, { random });
+    const benefits = {
+        child: economyParams.monthlyUBIChild,
+        adult: economyParams.monthlyUBI,
+        elderly: economyParams.monthlyUBIElderly
+    }; // Use economyParams
 
-    // Run for 10 years
-    const history = sim.run(10, ubiMonthly);
+    const history = sim.run(agentSettings.years, benefits);
+    latestAgentHistory = history;
 
     // Update Summary Stats (Last Step)
     const lastStep = history[history.length - 1];
@@ -229,7 +389,7 @@ function renderAgentChart(history) {
         dataPoverty.push(history[i].povertyRate);
     }
     // Add final year
-    labels.push(`Year 10`);
+    labels.push(`Year ${history.length / 12}`);
     dataPoverty.push(history[history.length - 1].povertyRate);
 
     const config = {
@@ -273,6 +433,7 @@ function renderJobGroupCards(groups) {
         // Calculate Changes (relative to baseline 1.0)
         const empChange = (group.employment - 1.0) * 100;
         const wageChange = (group.wage - 100);
+        const laborSupplyChange = (group.laborSupply - 1) * 100;
 
         // Style based on Employment Impact
         let empColor = 'text-gray-600';
@@ -288,7 +449,7 @@ function renderJobGroupCards(groups) {
         const card = document.createElement('div');
         card.className = "bg-white p-4 rounded-lg border border-gray-200 shadow-sm";
         card.innerHTML = `
-            <h4 class="font-bold text-sm text-gray-800 mb-2 border-b pb-1">${group.label}</h4>
+            <h4 class="font-bold text-sm text-gray-800 mb-2 border-b pb-1">${escapeHTML(group.label)}</h4>
             <div class="space-y-2 text-sm">
                 <div class="flex justify-between">
                     <span class="text-gray-500">雇用量:</span>
@@ -298,8 +459,12 @@ function renderJobGroupCards(groups) {
                     <span class="text-gray-500">賃金水準:</span>
                     <span class="font-bold ${wageColor}">${wageChange > 0 ? '+' : ''}${wageChange.toFixed(1)}%</span>
                 </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-500">BIによる労働供給:</span>
+                    <span class="font-bold text-gray-600">${laborSupplyChange > 0 ? '+' : ''}${laborSupplyChange.toFixed(1)}%</span>
+                </div>
                 <div class="text-xs text-gray-400 mt-2">
-                    (基準比)
+                    (基準比 / 労働力の${(group.share * 100).toFixed(1)}%)
                 </div>
             </div>
         `;
@@ -307,6 +472,407 @@ function renderJobGroupCards(groups) {
     });
 }
 
+/**
+ * Rollout planner inputs (preset, ramp, group start years, tax schedule)
+ */
+function bindRolloutControls() {
+    const presetSelect = document.getElementById('rollout-preset');
+    if (!presetSelect) return;
+
+    ROLLOUT_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+    presetSelect.addEventListener('change', () => {
+        const preset = getRolloutPreset(presetSelect.value);
+        if (!preset) return;
+        economyParams.rollout = preset.build(economyParams);
+        renderRolloutForm();
+        presetSelect.value = preset.id;
+        runTimelineSimulation();
+    });
+
+    const container = document.getElementById('rollout-group-starts');
+    ROLLOUT_AGE_GROUPS.forEach(group => {
+        const label = document.createElement('label');
+        label.innerHTML = `${group.label} 開始年
+            <input id="rollout-start-${group.id}" type="number" min="1" max="${TIMELINE_MAX_YEARS}" step="1" class="w-full border border-gray-300 rounded p-1 text-right">`;
+        container.appendChild(label);
+    });
+    container.addEventListener('change', () => {
+        const plan = new RolloutPlan(economyParams.rollout);
+        economyParams.rollout = {
+            ...economyParams.rollout,
+            rampYears: Math.max(1, parseInt(document.getElementById('rollout-ramp-years').value, 10) || 1),
+            groupStartYears: Object.fromEntries(ROLLOUT_AGE_GROUPS.map(({ id }) => {
+                const year = parseInt(document.getElementById(`rollout-start-${id}`).value, 10);
+                return [id, year >= 1 ? year : plan.groupStartYears[id]];
+            }))
+        };
+        presetSelect.value = '';
+        runTimelineSimulation();
+    });
+
+    const taxBody = document.getElementById('rollout-tax-body');
+    const readTaxSchedule = () => {
+        economyParams.rollout = {
+            ...economyParams.rollout,
+            taxSchedule: [...taxBody.querySelectorAll('tr')].map(row => {
+                const step = { year: Math.max(1, parseInt(row.querySelector('[data-key="year"]').value, 10) || 1) };
+                ROLLOUT_TAX_KEYS.forEach(key => {
+                    step[key] = (parseFloat(row.querySelector(`[data-key="${key}"]`).value) || 0) / 100;
+                });
+                return step;
+            })
+        };
+        presetSelect.value = '';
+        renderRolloutForm();
+        runTimelineSimulation();
+    };
+    taxBody.addEventListener('change', readTaxSchedule);
+    taxBody.addEventListener('click', (e) => {
+        if (!e.target.dataset.removeStep) return;
+        e.target.closest('tr').remove();
+        readTaxSchedule();
+    });
+    document.getElementById('btn-add-tax-step').addEventListener('click', () => {
+        // The new step starts a year after the last one with the rates currently in force
+        const plan = new RolloutPlan(economyParams.rollout);
+        const last = plan.taxSchedule[plan.taxSchedule.length - 1];
+        const year = last ? last.year + 1 : 1;
+        economyParams.rollout = {
+            ...economyParams.rollout,
+            taxSchedule: [...plan.taxSchedule, { year, ...plan.ratesInYear(economyParams, year) }]
+        };
+        presetSelect.value = '';
+        renderRolloutForm();
+        runTimelineSimulation();
+    });
+
+    // Indexation rule
+    const ruleSelect = document.getElementById('indexation-rule');
+    INDEXATION_RULES.forEach(rule => {
+        const option = document.createElement('option');
+        option.value = rule.id;
+        option.textContent = rule.label;
+        ruleSelect.appendChild(option);
+    });
+    const readIndexation = () => {
+        const share = parseFloat(document.getElementById('indexation-dividend-share').value);
+        economyParams.indexation = {
+            ...economyParams.indexation,
+            rule: ruleSelect.value,
+            dividendShare: Number.isFinite(share) ? Math.min(100, Math.max(0, share)) / 100 : economyParams.indexation.dividendShare
+        };
+        renderRolloutForm();
+        runTimelineSimulation();
+    };
+    ruleSelect.addEventListener('change', readIndexation);
+    document.getElementById('indexation-dividend-share').addEventListener('change', readIndexation);
+
+    renderRolloutForm();
+}
+
+/**
+ * Show economyParams.rollout in the rollout planner inputs
+ */
+function renderRolloutForm() {
+    const taxBody = document.getElementById('rollout-tax-body');
+    if (!taxBody) return;
+    // Read through RolloutPlan so partial plans (e.g. from a shared scenario) show their defaults
+    const plan = new RolloutPlan(economyParams.rollout);
+    document.getElementById('rollout-ramp-years').value = plan.rampYears;
+
+    const rule = getIndexationRule(economyParams.indexation.rule);
+    document.getElementById('indexation-rule').value = rule.id;
+    document.getElementById('indexation-description').textContent = rule.description;
+    document.getElementById('indexation-dividend').classList.toggle('hidden', rule.id !== 'productivity_dividend');
+    document.getElementById('indexation-dividend-share').value = +(economyParams.indexation.dividendShare * 100).toFixed(1);
+    ROLLOUT_AGE_GROUPS.forEach(({ id }) => {
+        document.getElementById(`rollout-start-${id}`).value = plan.groupStartYears[id];
+    });
+
+    const percentInput = (key, value) =>
+        `<input data-key="${key}" type="number" step="0.1" value="${+(value * 100).toFixed(2)}" class="w-16 border border-gray-300 rounded p-1 text-right">`;
+    taxBody.innerHTML = plan.taxSchedule.map(step => `
+        <tr>
+            <td class="px-2 py-1"><input data-key="year" type="number" min="1" step="1" value="${step.year}" class="w-14 border border-gray-300 rounded p-1 text-right"></td>
+            ${ROLLOUT_TAX_KEYS.map(key => `<td class="px-2 py-1 text-right">${percentInput(key, step[key] || 0)}</td>`).join('')}
+            <td class="px-2 py-1 text-right"><button data-remove-step="1" class="text-red-500 hover:text-red-700" title="削除">✕</button></td>
+        </tr>`).join('');
+    document.getElementById('rollout-tax-note').textContent = plan.taxSchedule.length === 0
+        ? 'スケジュールが空のときは、財源設定の税率が1年目から適用されます。'
+        : '1つ目の年より前は増税なし。各行の税率は次の行の年まで続きます。';
+}
+
+/**
+ * Yearly fiscal path of the rollout
+ * @param {Array} timeline - TimelineEngine results
+ */
+function renderRolloutTable(timeline) {
+    const tbody = document.getElementById('rollout-year-body');
+    if (!tbody) return;
+    tbody.innerHTML = timeline.filter(point => point.year > 0).map(point => `
+        <tr>
+            <td class="px-4 py-2 text-gray-900">Year ${point.year}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${(point.rolloutShare * 100).toFixed(0)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${Math.round(point.biMonthly).toLocaleString()}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${Math.round(point.realBiMonthly).toLocaleString()}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.biCost.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.taxRevenue.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right ${point.deficit > 0 ? 'text-red-600' : 'text-gray-500'}">${point.deficit.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.debt.toFixed(0)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.unemployment.toFixed(1)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Yearly debt dynamics: interest cost, yields and r - g
+ * @param {Array} timeline - TimelineEngine results
+ */
+function renderDebtDynamics(timeline) {
+    const tbody = document.getElementById('debt-dynamics-body');
+    if (!tbody) return;
+    const years = timeline.filter(point => point.year > 0);
+    const finalYear = years[years.length - 1];
+    const totalInterestCost = years.reduce((sum, point) => sum + point.interestCost, 0);
+    document.getElementById('debt-dynamics-summary').textContent =
+        `${finalYear.year}年目: 利払い増 ${finalYear.interestCost.toFixed(1)}兆円/年 (累計 ${totalInterestCost.toFixed(0)}兆円)、` +
+        `債務/GDP ${finalYear.debtToGdp.toFixed(0)}%、r − g ${finalYear.rMinusG >= 0 ? '+' : ''}${finalYear.rMinusG.toFixed(2)}pt` +
+        (finalYear.rMinusG > 0 ? ' (金利が成長率を上回り、債務比率は自然には下がりません)' : '');
+
+    tbody.innerHTML = years.map(point => `
+        <tr>
+            <td class="px-4 py-2 text-gray-900">Year ${point.year}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.primaryDeficit.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right ${point.interestCost > 0 ? 'text-red-600' : 'text-gray-500'}">${point.interestCost.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.interestPayments.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.debt.toFixed(0)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.debtToGdp.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.marketYield.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.effectiveRate.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right ${point.rMinusG > 0 ? 'text-red-600' : 'text-green-600'}">${point.rMinusG.toFixed(2)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Population projection inputs (preset, method, fertility, migration, mortality improvement)
+ */
+function bindDemographicsControls() {
+    const presetSelect = document.getElementById('demographics-preset');
+    if (!presetSelect) return;
+
+    DEMOGRAPHIC_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+    presetSelect.addEventListener('change', () => {
+        const preset = getDemographicPreset(presetSelect.value);
+        if (!preset) return;
+        economyParams.demographics = { ...preset.settings };
+        renderDemographicsForm();
+        runTimelineSimulation();
+    });
+
+    const readDemographics = () => {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const current = economyParams.demographics;
+        economyParams.demographics = {
+            ...current,
+            projection: document.getElementById('demographics-projection').value,
+            fertilityRate: Math.max(0, number('demographics-fertility', current.fertilityRate)),
+            netMigration: Math.round(number('demographics-migration', current.netMigration / 10000) * 10000),
+            mortalityImprovement: Math.min(10, Math.max(0, number('demographics-mortality', current.mortalityImprovement * 100))) / 100
+        };
+        renderDemographicsForm();
+        runTimelineSimulation();
+    };
+    ['demographics-projection', 'demographics-fertility', 'demographics-migration', 'demographics-mortality']
+        .forEach(id => document.getElementById(id).addEventListener('change', readDemographics));
+
+    renderDemographicsForm();
+}
+
+/**
+ * Show economyParams.demographics in the projection inputs
+ */
+function renderDemographicsForm() {
+    const presetSelect = document.getElementById('demographics-preset');
+    if (!presetSelect) return;
+    const settings = economyParams.demographics;
+    const preset = DEMOGRAPHIC_PRESETS.find(({ settings: candidate }) =>
+        Object.keys(candidate).every(key => candidate[key] === settings[key]));
+    presetSelect.value = preset ? preset.id : '';
+    document.getElementById('demographics-projection').value = settings.projection;
+    document.getElementById('demographics-fertility').value = settings.fertilityRate;
+    document.getElementById('demographics-migration').value = +(settings.netMigration / 10000).toFixed(1);
+    document.getElementById('demographics-mortality').value = +(settings.mortalityImprovement * 100).toFixed(2);
+    ['demographics-fertility', 'demographics-migration', 'demographics-mortality'].forEach(id => {
+        document.getElementById(id).disabled = settings.projection === 'constant';
+    });
+}
+
+/**
+ * Yearly population, labour force and pension budget
+ * @param {Array} timeline - TimelineEngine results
+ */
+function renderDemographicsTable(timeline) {
+    const tbody = document.getElementById('demographics-body');
+    if (!tbody) return;
+    const start = timeline[0];
+    const finalYear = timeline[timeline.length - 1];
+    const change = (key) => ((finalYear[key] / start[key] - 1) * 100).toFixed(1);
+    document.getElementById('demographics-summary').textContent =
+        `${finalYear.year}年目: 総人口 ${(finalYear.population / 10000).toFixed(0)}万人 (${change('population')}%)、` +
+        `労働力人口 ${(finalYear.labourForce / 10000).toFixed(0)}万人 (${change('labourForce')}%)、高齢化率 ${finalYear.elderlyShare.toFixed(1)}%、` +
+        `人口によるBIコスト増減 ${finalYear.demographicCost >= 0 ? '+' : ''}${finalYear.demographicCost.toFixed(1)}兆円/年`;
+
+    const tenThousands = (value) => value === null ? '-' : (value / 10000).toFixed(1);
+    tbody.innerHTML = timeline.map(point => `
+        <tr>
+            <td class="px-4 py-2 text-gray-900">Year ${point.year}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${(point.population / 10000).toFixed(0)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.elderlyShare.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${tenThousands(point.births)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${tenThousands(point.deaths)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${(point.labourForce / 10000).toFixed(0)}</td>
+            <td class="px-4 py-2 text-right ${point.demographicCost > 0 ? 'text-red-600' : 'text-gray-500'}">${point.demographicCost.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.pensionBudget.toFixed(1)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.pensionOffset.toFixed(1)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Yearly labour supply response to the BI and the AI / BI contributions to unemployment and GDP
+ * @param {Array} timeline - TimelineEngine results
+ */
+function renderLaborSupplyTable(timeline) {
+    const tbody = document.getElementById('labor-supply-body');
+    if (!tbody) return;
+    const years = timeline.filter(point => point.year > 0);
+    const finalYear = years[years.length - 1];
+    const signed = (value, digits) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    document.getElementById('labor-supply-summary').textContent =
+        `${finalYear.year}年目: BIによる労働供給 ${signed(finalYear.laborSupplyChange, 1)}% ` +
+        `(所得効果 ${signed(finalYear.laborSupplyIncome, 1)} / 就業 ${signed(finalYear.laborSupplyParticipation, 1)} / 労働時間 ${signed(finalYear.laborSupplyHours, 1)})、` +
+        `実質GDPへの寄与: AI ${signed(finalYear.aiGdpEffect, 1)}兆円、労働供給 ${signed(finalYear.laborSupplyGdpEffect, 1)}兆円、` +
+        `再訓練・起業 ${signed(finalYear.retrainingGdpEffect, 1)}兆円。失業率への寄与: AI ${signed(finalYear.aiUnemployment, 2)}pt、` +
+        `再訓練・起業 ${signed(finalYear.retrainingUnemployment, 2)}pt`;
+
+    const cell = (value, digits, border = '') =>
+        `<td class="px-4 py-2 text-right ${border} ${value < 0 ? 'text-red-600' : value > 0 ? 'text-green-600' : 'text-gray-500'}">${value.toFixed(digits)}</td>`;
+    tbody.innerHTML = years.map(point => `
+        <tr>
+            <td class="px-4 py-2 text-gray-900">Year ${point.year}</td>
+            ${cell(point.laborSupplyChange, 2, 'border-l')}
+            ${cell(point.laborSupplyIncome, 2)}
+            ${cell(point.laborSupplyParticipation, 2)}
+            ${cell(point.laborSupplyHours, 2)}
+            <td class="px-4 py-2 text-right text-gray-500 border-l">${point.aiUnemployment.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.retrainingUnemployment.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right text-gray-500">${point.reinstatementRate.toFixed(1)}</td>
+            ${cell(point.aiGdpEffect, 1, 'border-l')}
+            ${cell(point.laborSupplyGdpEffect, 1)}
+            ${cell(point.retrainingGdpEffect, 1)}
+        </tr>`).join('');
+}
+
+/**
+ * Job-group editor: presets, add / remove, rebalance and per-group factors
+ */
+function bindJobGroupEditor() {
+    const editor = document.getElementById('job-group-editor');
+    const presetSelect = document.getElementById('job-group-preset');
+    const tbody = document.getElementById('job-group-body');
+
+    document.getElementById('btn-toggle-job-groups').addEventListener('click', () => editor.classList.toggle('hidden'));
+
+    JOB_GROUP_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+
+    // Every edit updates jobGroupConfigs and re-runs the timeline
+    const update = (groups) => {
+        jobGroupConfigs = groups;
+        renderJobGroupEditor();
+        runTimelineSimulation();
+    };
+
+    presetSelect.addEventListener('change', () => {
+        const preset = getJobGroupPreset(presetSelect.value);
+        if (preset) update(cloneJobGroups(preset.groups));
+    });
+    tbody.addEventListener('change', (e) => {
+        const { index, field } = e.target.dataset;
+        if (index === undefined) return;
+        const groups = cloneJobGroups(jobGroupConfigs);
+        if (field === 'label') groups[index].label = e.target.value.trim() || groups[index].id;
+        else if (field === 'share') groups[index].share = parseFloat(e.target.value) / 100;
+        else groups[index][field] = parseFloat(e.target.value);
+        update(groups);
+    });
+    tbody.addEventListener('click', (e) => {
+        if (e.target.dataset.removeGroup === undefined) return;
+        update(jobGroupConfigs.filter((group, index) => index !== Number(e.target.dataset.removeGroup)));
+    });
+    document.getElementById('btn-add-job-group').addEventListener('click', () => {
+        let n = jobGroupConfigs.length + 1;
+        while (jobGroupConfigs.some(group => group.id === `custom_${n}`)) n++;
+        update([...cloneJobGroups(jobGroupConfigs), {
+            id: `custom_${n}`,
+            label: `新しいグループ ${n}`,
+            share: 0,
+            aiExposure: 0.5,
+            displacementFactor: 0.3,
+            productivityFactor: 0.3,
+            ...LABOUR_SUPPLY_DEFAULTS
+        }]);
+    });
+    document.getElementById('btn-rebalance-job-groups').addEventListener('click', () => {
+        if (jobGroupConfigs.length > 0) update(rebalanceJobGroupShares(jobGroupConfigs));
+    });
+
+    renderJobGroupEditor();
+}
+
+/**
+ * Show jobGroupConfigs in the job-group editor
+ */
+function renderJobGroupEditor() {
+    const tbody = document.getElementById('job-group-body');
+    if (!tbody) return;
+    const matching = JOB_GROUP_PRESETS.find(preset => JSON.stringify(preset.groups) === JSON.stringify(jobGroupConfigs));
+    document.getElementById('job-group-preset').value = matching ? matching.id : '';
+
+    const numberInput = (index, field, value, step, max) =>
+        `<input data-index="${index}" data-field="${field}" type="number" min="0"${max !== undefined ? ` max="${max}"` : ''} step="${step}" value="${value}" class="w-20 border border-gray-300 rounded p-1 text-right">`;
+    tbody.innerHTML = jobGroupConfigs.map((group, index) => `
+        <tr>
+            <td class="px-2 py-1"><input data-index="${index}" data-field="label" type="text" value="${escapeHTML(group.label)}" title="${escapeHTML(group.id)}" class="w-48 border border-gray-300 rounded p-1"></td>
+            <td class="px-2 py-1 text-right">${numberInput(index, 'share', +(group.share * 100).toFixed(2), 0.5)}</td>
+            <td class="px-2 py-1 text-right">${numberInput(index, 'aiExposure', group.aiExposure, 0.05, 1)}</td>
+            <td class="px-2 py-1 text-right">${numberInput(index, 'displacementFactor', group.displacementFactor, 0.05)}</td>
+            <td class="px-2 py-1 text-right">${numberInput(index, 'productivityFactor', group.productivityFactor, 0.05)}</td>
+            ${['relativeWage', 'incomeEffect', 'participationElasticity', 'hoursElasticity'].map(field =>
+                `<td class="px-2 py-1 text-right">${numberInput(index, field, { ...LABOUR_SUPPLY_DEFAULTS, ...group }[field], 0.05)}</td>`).join('')}
+            <td class="px-2 py-1 text-right"><button data-remove-group="${index}" class="text-red-500 hover:text-red-700" title="削除">✕</button></td>
+        </tr>`).join('');
+
+    const totalShare = jobGroupConfigs.reduce((sum, group) => sum + (group.share || 0), 0);
+    const elTotal = document.getElementById('job-group-share-total');
+    elTotal.textContent = `シェア合計 ${(totalShare * 100).toFixed(1)}%${Math.abs(totalShare - 1) > 0.0005 ? ' (シェアの比率で加重します)' : ''}`;
+}
+
 // --- UI Rendering Functions (Static) ---
 function renderParametersForm() {
     const paramContainer = document.getElementById('parameters-form');
@@ -315,18 +881,149 @@ function renderParametersForm() {
     // Monthly UBI Slider
     createSlider(paramContainer, {
         id: 'ubi-amount',
-        label: '月額支給額 (Monthly UBI)',
+        label: '月額支給額・成人 (Monthly UBI, 18-64)',
         min: 0, max: 200000, step: 5000,
         value: economyParams.monthlyUBI,
         unit: '円',
         onChange: (val) => { economyParams.monthlyUBI = parseInt(val); runSimulation(); }
     });
+
+    // Child Amount
+    createSlider(paramContainer, {
+        id: 'ubi-amount-child',
+        label: '月額支給額・子ども (Child, <18)',
+        min: 0, max: 200000, step: 5000,
+        value: economyParams.monthlyUBIChild,
+        unit: '円',
+        onChange: (val) => { economyParams.monthlyUBIChild = parseInt(val); runSimulation(); }
+    });
+
+    // Elderly Amount
+    createSlider(paramContainer, {
+        id: 'ubi-amount-elderly',
+        label: '月額支給額・高齢者 (Elderly, 65+)',
+        min: 0, max: 200000, step: 5000,
+        value: economyParams.monthlyUBIElderly,
+        unit: '円',
+        onChange: (val) => { economyParams.monthlyUBIElderly = parseInt(val); runSimulation(); }
+    });
+
+    renderBenefitDesignControls(paramContainer);
+}
+
+/**
+ * Benefit design selector with the options of the selected design
+ */
+function renderBenefitDesignControls(container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'space-y-2';
+    wrapper.innerHTML = `<label class="text-sm font-medium text-gray-700">給付設計 (Benefit Design)</label>`;
+
+    const select = document.createElement('select');
+    select.className = 'w-full border-gray-300 rounded-md shadow-sm p-2 border text-sm';
+    Object.values(BENEFIT_DESIGNS).forEach(design => {
+        const option = document.createElement('option');
+        option.value = design.id;
+        option.textContent = design.label;
+        option.selected = design.id === economyParams.benefitDesign;
+        select.appendChild(option);
+    });
+
+    const description = document.createElement('p');
+    description.className = 'text-xs text-gray-500';
+
+    const optionsContainer = document.createElement('div');
+    optionsContainer.className = 'space-y-4 pt-2';
+
+    const renderOptions = () => {
+        const design = getBenefitDesign(economyParams.benefitDesign);
+        const options = economyParams.benefitDesignOptions;
+        description.textContent = design.description;
+        optionsContainer.innerHTML = '';
+
+        if (design.id === 'nit') {
+            createSlider(optionsContainer, {
+                id: 'nit-taper',
+                label: '逓減率 (Taper Rate)',
+                min: 0, max: 100, step: 5,
+                value: options.nitTaperRate * 100,
+                unit: '%',
+                onChange: (val) => { options.nitTaperRate = parseFloat(val) / 100; runSimulation(); }
+            });
+        } else if (design.id === 'means_tested') {
+            createSlider(optionsContainer, {
+                id: 'means-start',
+                label: '減額開始 (等価所得)',
+                min: 0, max: 1000, step: 10,
+                value: options.meansTestStart / 10000,
+                unit: '万円',
+                onChange: (val) => {
+                    options.meansTestStart = parseInt(val) * 10000;
+                    options.meansTestEnd = Math.max(options.meansTestEnd, options.meansTestStart + 100000);
+                    runSimulation();
+                }
+            });
+            createSlider(optionsContainer, {
+                id: 'means-end',
+                label: '支給停止 (等価所得)',
+                min: 0, max: 1500, step: 10,
+                value: options.meansTestEnd / 10000,
+                unit: '万円',
+                onChange: (val) => {
+                    options.meansTestEnd = Math.max(parseInt(val) * 10000, options.meansTestStart + 100000);
+                    runSimulation();
+                }
+            });
+        } else if (design.id === 'partial') {
+            createSlider(optionsContainer, {
+                id: 'partial-share',
+                label: '支給割合 (Share of Full Amount)',
+                min: 0, max: 100, step: 5,
+                value: options.partialShare * 100,
+                unit: '%',
+                onChange: (val) => { options.partialShare = parseFloat(val) / 100; runSimulation(); }
+            });
+        }
+    };
+
+    select.addEventListener('change', (e) => {
+        economyParams.benefitDesign = e.target.value;
+        renderOptions();
+        runSimulation();
+    });
+
+    wrapper.appendChild(select);
+    wrapper.appendChild(description);
+    wrapper.appendChild(optionsContainer);
+    container.appendChild(wrapper);
+    renderOptions();
 }
 
 function renderFundingForm() {
     const fundingContainer = document.getElementById('funding-form');
     fundingContainer.innerHTML = '';
 
+    // Revenue Estimation Method
+    const revenueWrapper = document.createElement('div');
+    revenueWrapper.className = 'space-y-2';
+    revenueWrapper.innerHTML = `
+        <label class="text-sm font-medium text-gray-700">税収の推計方法 (Revenue Method)</label>
+        <select class="w-full border-gray-300 rounded-md shadow-sm p-2 border text-sm">
+            <option value="microdata">世帯別の税計算を積み上げ (Microdata)</option>
+            <option value="ruleOfThumb">マクロの経験則 (Rule of Thumb)</option>
+        </select>
+        <label class="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
+            <input type="checkbox" class="rounded border-gray-300"> 世帯積上げを総人口に換算する
+        </label>
+    `;
+    const revenueSelect = revenueWrapper.querySelector('select');
+    revenueSelect.value = economyParams.revenueMode;
+    revenueSelect.addEventListener('change', (e) => { economyParams.revenueMode = e.target.value; runSimulation(); });
+    const scaleCheckbox = revenueWrapper.querySelector('input');
+    scaleCheckbox.checked = economyParams.scaleToPopulation;
+    scaleCheckbox.addEventListener('change', (e) => { economyParams.scaleToPopulation = e.target.checked; runSimulation(); });
+    fundingContainer.appendChild(revenueWrapper);
+
     // Income Tax Increase
     createSlider(fundingContainer, {
         id: 'tax-income',
@@ -346,6 +1043,133 @@ function renderFundingForm() {
         unit: '%',
         onChange: (val) => { economyParams.consumptionTaxRateIncrease = parseFloat(val) / 100; runSimulation(); }
     });
+
+    // Corporate Tax Increase
+    createSlider(fundingContainer, {
+        id: 'tax-corporate',
+        label: '法人税率上乗せ (Corporate Tax +)',
+        min: 0, max: 15, step: 1,
+        value: economyParams.corpTaxRateIncrease * 100,
+        unit: '%',
+        onChange: (val) => { economyParams.corpTaxRateIncrease = parseFloat(val) / 100; runSimulation(); }
+    });
+
+    // Corporate Tax Incidence (who ultimately bears the corporate tax)
+    const incidence = economyParams.corpTaxIncidence;
+    const incidenceDetails = document.createElement('details');
+    incidenceDetails.className = 'border border-gray-200 rounded-lg p-3';
+    incidenceDetails.innerHTML = `<summary class="text-sm font-medium text-gray-700 cursor-pointer">法人税の帰着 (Corporate Tax Incidence)</summary>
+        <p class="text-xs text-gray-500 mt-2">家計に転嫁される割合と、その経路 (資本所得・賃金・価格) の比重を設定します。比重は合計で正規化されます。</p>`;
+    const incidenceContainer = document.createElement('div');
+    incidenceContainer.className = 'space-y-3 mt-3';
+    incidenceDetails.appendChild(incidenceContainer);
+    fundingContainer.appendChild(incidenceDetails);
+
+    createSlider(incidenceContainer, {
+        id: 'corp-household-share',
+        label: '家計への転嫁割合',
+        min: 0, max: 100, step: 5,
+        value: incidence.householdShare * 100,
+        unit: '%',
+        onChange: (val) => { incidence.householdShare = parseFloat(val) / 100; runSimulation(); }
+    });
+    [
+        { key: 'capitalWeight', label: '経路: 資本所得 (株主)' },
+        { key: 'wageWeight', label: '経路: 賃金' },
+        { key: 'priceWeight', label: '経路: 価格' }
+    ].forEach(channel => {
+        createSlider(incidenceContainer, {
+            id: `corp-${channel.key}`,
+            label: channel.label,
+            min: 0, max: 100, step: 5,
+            value: incidence[channel.key] * 100,
+            unit: '%',
+            onChange: (val) => { incidence[channel.key] = parseFloat(val) / 100; runSimulation(); }
+        });
+    });
+
+    // Additional Funding Sources (one slider per registered source)
+    const sourcesDetails = document.createElement('details');
+    sourcesDetails.className = 'border border-gray-200 rounded-lg p-3';
+    sourcesDetails.open = FUNDING_SOURCES.some(source => source.getRate(economyParams) > 0);
+    sourcesDetails.innerHTML = `<summary class="text-sm font-medium text-gray-700 cursor-pointer">その他の財源 (Additional Funding Sources)</summary>`;
+    const sourcesContainer = document.createElement('div');
+    sourcesContainer.className = 'space-y-3 mt-3';
+    sourcesDetails.appendChild(sourcesContainer);
+    fundingContainer.appendChild(sourcesDetails);
+
+    FUNDING_SOURCES.forEach(source => {
+        const { max, step, unit, displayScale } = source.rate;
+        createSlider(sourcesContainer, {
+            id: `source-${source.id}`,
+            label: source.label,
+            min: 0, max, step,
+            value: Number((source.getRate(economyParams) * displayScale).toFixed(6)),
+            unit,
+            onChange: (val) => { economyParams.fundingSourceRates[source.id] = parseFloat(val) / displayScale; runSimulation(); }
+        });
+        const description = document.createElement('p');
+        description.className = 'text-xs text-gray-500 -mt-1';
+        description.textContent = source.description;
+        sourcesContainer.appendChild(description);
+    });
+
+    // Welfare Programmes replaced by the BI
+    const welfareWrapper = document.createElement('div');
+    welfareWrapper.className = 'space-y-2';
+    welfareWrapper.innerHTML = `<label class="text-sm font-medium text-gray-700">BIで置き換える制度 (Replaced Programmes)</label>`;
+    WELFARE_PROGRAMS.forEach(program => {
+        const row = document.createElement('label');
+        row.className = 'flex items-center justify-between text-sm text-gray-700 cursor-pointer';
+        row.innerHTML = `
+            <span class="flex items-center gap-2">
+                <input type="checkbox" class="rounded border-gray-300" ${economyParams.replacedWelfarePrograms.includes(program.id) ? 'checked' : ''}>
+                ${program.label}
+            </span>
+            <span class="text-xs text-gray-500">${program.annualBudget.div(1000000000000).toFixed(1)}兆円</span>
+        `;
+        row.querySelector('input').addEventListener('change', (e) => {
+            const replaced = economyParams.replacedWelfarePrograms.filter(id => id !== program.id);
+            if (e.target.checked) replaced.push(program.id);
+            economyParams.replacedWelfarePrograms = replaced;
+            runSimulation();
+        });
+        welfareWrapper.appendChild(row);
+    });
+    fundingContainer.appendChild(welfareWrapper);
+
+    // Per-bracket Income Tax Increases (e.g. raise only the top brackets)
+    const details = document.createElement('details');
+    details.className = 'border border-gray-200 rounded-lg p-3';
+    details.innerHTML = `<summary class="text-sm font-medium text-gray-700 cursor-pointer">累進税率の区分別上乗せ (Bracket Reform)</summary>`;
+    const bracketContainer = document.createElement('div');
+    bracketContainer.className = 'space-y-3 mt-3';
+    details.appendChild(bracketContainer);
+    fundingContainer.appendChild(details);
+
+    const brackets = economyParams.taxSchedule.brackets;
+    brackets.forEach((bracket, i) => {
+        createSlider(bracketContainer, {
+            id: `tax-bracket-${i}`,
+            label: `${formatBracketLabel(brackets, i)} (現行${Math.round(bracket.rate * 100)}%)`,
+            min: 0, max: 20, step: 1,
+            value: economyParams.bracketRateIncreases[i] * 100,
+            unit: '%',
+            onChange: (val) => { economyParams.bracketRateIncreases[i] = parseFloat(val) / 100; runSimulation(); }
+        });
+    });
+}
+
+/**
+ * Format a taxable income range label for a bracket (e.g. '195万〜330万円')
+ */
+function formatBracketLabel(brackets, index) {
+    const toMan = (yen) => (yen / 10000).toLocaleString();
+    const lower = index === 0 ? 0 : brackets[index - 1].upTo;
+    const upper = brackets[index].upTo;
+    if (upper === null) return `${toMan(lower)}万円超`;
+    if (lower === 0) return `${toMan(upper)}万円以下`;
+    return `${toMan(lower)}万〜${toMan(upper)}万円`;
 }
 
 /**
@@ -396,8 +1220,12 @@ function runSimulation() {
 
     updateDashboard(results);
     updateCharts(results);
-    updateDetailedTable();
+    updateDetailedTable(results);
     updateLogicModal(results);
+    updateRevenueReconciliation(results);
+    updateMacroBreakdown(results);
+    updateDesignComparison();
+    updateUncertaintyBands();
 }
 
 /**
@@ -410,19 +1238,37 @@ function updateDashboard(results) {
 
     document.getElementById('kpi-gdp-impact').textContent = `${results.gdpImpact > 0 ? '+' : ''}${results.gdpImpact.toFixed(2)}%`;
 
-    // Update Poverty Rate
+    // Nominal GDP impact and price level change
+    const gdpDetail = document.getElementById('kpi-gdp-detail');
+    if (gdpDetail) {
+        const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+        gdpDetail.textContent = `名目 ${signed(results.nominalGdpImpact)} / 物価 ${signed(results.priceLevel.total * 100)}`;
+    }
+
+    // Update Poverty Rate (relative poverty, % points)
     const povertyChange = results.povertyRateChange;
+    const { before, after } = results.poverty;
     const povertyElem = document.getElementById('kpi-poverty-rate');
     const povertySubElem = povertyElem.nextElementSibling; // The small text below
 
-    povertyElem.textContent = `${povertyChange > 0 ? '+' : ''}${povertyChange.toFixed(2)}%`;
+    povertyElem.textContent = `${povertyChange > 0 ? '+' : ''}${povertyChange.toFixed(2)}pt`;
 
+    const transition = `${before.povertyRate.toFixed(1)}% → ${after.povertyRate.toFixed(1)}%`;
     if (povertyChange < 0) {
-        povertySubElem.textContent = '▼ 改善 (Improved)';
+        povertySubElem.textContent = `▼ 改善 (${transition})`;
         povertySubElem.className = 'text-xs text-green-500 mt-1';
-    } else {
-        povertySubElem.textContent = '▲ 悪化 (Worsened)';
+    } else if (povertyChange > 0) {
+        povertySubElem.textContent = `▲ 悪化 (${transition})`;
         povertySubElem.className = 'text-xs text-red-500 mt-1';
+    } else {
+        povertySubElem.textContent = `→ 変化なし (${transition})`;
+        povertySubElem.className = 'text-xs text-gray-500 mt-1';
+    }
+
+    const povertyDetail = document.getElementById('kpi-poverty-detail');
+    if (povertyDetail) {
+        povertyDetail.textContent = `子ども ${before.childPovertyRate.toFixed(1)}% → ${after.childPovertyRate.toFixed(1)}% / `
+            + `貧困ギャップ ${before.povertyGap.toFixed(1)}% → ${after.povertyGap.toFixed(1)}%`;
     }
 
     // Format Funding Shortfall/Surplus for internal tracking/debugging or future UI
@@ -432,28 +1278,44 @@ function updateDashboard(results) {
 /**
  * Update Charts
  */
+/**
+ * Funding doughnut slices in trillions: { labels, colors, data }
+ */
+function fundingChartData(results) {
+    const sources = FUNDING_SOURCES
+        .filter(source => results.fundingBreakdown[source.id] !== undefined)
+        .map(source => ({ key: source.id, label: source.shortLabel, color: source.color }));
+    const slices = FUNDING_CHART_SLICES.flatMap(slice => slice.key === 'corporateTax' ? [slice, ...sources] : [slice]);
+
+    return {
+        labels: [...slices.map(slice => slice.label), '国債(赤字)'],
+        colors: [...slices.map(slice => slice.color), '#EF4444'],
+        data: [
+            ...slices.map(slice => results.fundingBreakdown[slice.key].div(1000000000000).toNumber()),
+            Math.max(0, results.shortfall.div(1000000000000).toNumber()) // Deficit treated as Bonds for now
+        ]
+    };
+}
+
 function updateCharts(results) {
     const ctxFunding = document.getElementById('chart-funding').getContext('2d');
 
     // Data preparation
-    const fundingData = [
-        results.fundingBreakdown.consumptionTax.div(1000000000000).toNumber(),
-        results.fundingBreakdown.incomeTax.div(1000000000000).toNumber(),
-        results.fundingBreakdown.welfareCuts.div(1000000000000).toNumber(),
-        Math.max(0, results.shortfall.div(1000000000000).toNumber()) // Deficit treated as Bonds for now
-    ];
+    const fundingData = fundingChartData(results);
 
     if (charts.funding) {
-        charts.funding.data.datasets[0].data = fundingData;
+        charts.funding.data.labels = fundingData.labels;
+        charts.funding.data.datasets[0].data = fundingData.data;
+        charts.funding.data.datasets[0].backgroundColor = fundingData.colors;
         charts.funding.update();
     } else {
         charts.funding = new Chart(ctxFunding, {
             type: 'doughnut',
             data: {
-                labels: ['消費税増収', '所得税増収', '福祉削減', '国債(赤字)'],
+                labels: fundingData.labels,
                 datasets: [{
-                    data: fundingData,
-                    backgroundColor: ['#10B981', '#3B82F6', '#F59E0B', '#EF4444'],
+                    data: fundingData.data,
+                    backgroundColor: fundingData.colors,
                     borderWidth: 0
                 }]
             },
@@ -470,7 +1332,7 @@ function updateCharts(results) {
     // Bar Chart for Households
     const ctxImpact = document.getElementById('chart-household-impact').getContext('2d');
     const labels = households.map(h => h.label);
-    const impactData = households.map(h => h.simulationResults.netChange.div(10000).toNumber()); // In 10k Yen
+    const impactData = households.map(h => h.simulationResults.realNetChange.div(10000).toNumber()); // In 10k Yen, baseline prices
 
     if (charts.impact) {
         charts.impact.data.labels = labels;
@@ -499,28 +1361,1160 @@ function updateCharts(results) {
 /**
  * Update Detailed Table
  */
-function updateDetailedTable() {
+function updateDetailedTable(results) {
     const tbody = document.getElementById('impact-table-body');
     tbody.innerHTML = '';
 
+    // Weighted totals represented by the household models
+    const summary = document.getElementById('household-weight-summary');
+    if (summary && results) {
+        const totalHouseholds = results.aggregates.households.div(10000).toNumber();
+        const totalPersons = results.aggregates.persons.div(100000000).toNumber();
+        summary.textContent = `世帯モデルが代表する世帯数: ${Math.round(totalHouseholds).toLocaleString()}万世帯 / ${totalPersons.toFixed(2)}億人 (集計はすべて世帯数で重み付け)`;
+    }
+
+    // Difference against a pinned scenario (Scenario Comparison)
+    const baselineSelect = document.getElementById('comparison-diff-baseline');
+    const baselineName = baselineSelect ? baselineSelect.value : '';
+    const diff = scenarioComparison.householdDiff(households, baselineName);
+    const diffHeader = document.getElementById('impact-diff-header');
+    if (diffHeader) {
+        diffHeader.classList.toggle('hidden', !baselineName);
+        diffHeader.textContent = `差 (対「${baselineName}」)`;
+    }
+
     households.forEach(h => {
         const tr = document.createElement('tr');
 
-        const netChange = h.simulationResults.netChange.toNumber();
+        // Real terms (baseline prices); nominal values shown on hover
+        const netChange = Math.round(h.simulationResults.realNetChange.toNumber());
         const netChangeStr = netChange >= 0 ? `+${netChange.toLocaleString()}` : netChange.toLocaleString();
         const colorClass = netChange >= 0 ? 'text-green-600' : 'text-red-600';
+        const nominalChange = h.simulationResults.netChange.toNumber();
+
+        // Tax increase by source, shown on hover
+        const sim = h.simulationResults;
+        const taxBreakdown = [
+            ['所得税', sim.incomeTaxIncrease],
+            ['消費税', sim.consumptionTaxIncrease],
+            ['法人税', sim.corporateTaxBurden],
+            ...Object.entries(sim.fundingSourceBurdens).map(([id, burden]) => [getFundingSource(id).shortLabel, burden])
+        ].map(([label, value]) => `${label} ¥${Math.round(value.toNumber()).toLocaleString()}`).join(' / ');
 
         tr.innerHTML = `
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${h.label}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${escapeHTML(h.label)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                <input type="number" min="0" step="1" class="w-20 border border-gray-300 rounded px-1 py-0.5 text-right"
+                    value="${Math.round(engine.getWeight(h) / 10000)}">
+            </td>
             <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">¥${h.annualIncome.toNumber().toLocaleString()}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">¥${h.simulationResults.biReceived.toNumber().toLocaleString()}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-red-500">+¥${(h.simulationResults.newTax.minus(h.currentTax)).toNumber().toLocaleString()}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-bold ${colorClass}">${netChangeStr}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500" title="実質価値 ¥${Math.round(h.simulationResults.realBiValue.toNumber()).toLocaleString()}">¥${h.simulationResults.biReceived.toNumber().toLocaleString()}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-red-500" title="${taxBreakdown}">+¥${(h.simulationResults.newTax.minus(h.currentTax)).toNumber().toLocaleString()}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-red-500">-¥${h.simulationResults.lostBenefits.toNumber().toLocaleString()}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-bold ${colorClass}" title="名目 ${nominalChange >= 0 ? '+' : ''}${nominalChange.toLocaleString()}">${netChangeStr}</td>
         `;
+        if (baselineName) {
+            const td = document.createElement('td');
+            td.className = 'px-6 py-4 whitespace-nowrap text-sm text-gray-500';
+            if (diff[h.id] !== undefined) {
+                const value = Math.round(diff[h.id].toNumber());
+                td.className += value >= 0 ? ' text-green-600' : ' text-red-600';
+                td.textContent = value >= 0 ? `+${value.toLocaleString()}` : value.toLocaleString();
+            } else {
+                td.textContent = '-';
+            }
+            tr.appendChild(td);
+        }
+        tr.querySelector('input').addEventListener('change', (e) => {
+            economyParams.householdWeights[h.id] = Math.max(0, parseFloat(e.target.value) || 0) * 10000;
+            runSimulation();
+        });
         tbody.appendChild(tr);
     });
 }
 
+/**
+ * Household dataset import (CSV / JSON) controls
+ */
+function bindHouseholdImport() {
+    const fileInput = document.getElementById('household-import-file');
+    if (!fileInput) return;
+
+    const status = document.getElementById('household-import-status');
+    const errorList = document.getElementById('household-import-errors');
+    document.getElementById('household-import-columns').textContent =
+        '列: ' + HOUSEHOLD_IMPORT_SCHEMA.map(f => `${f.key}${f.required ? '*' : ''} (${f.description})`).join(', ') + ' / *は必須';
+
+    const showResult = (message, errors = []) => {
+        status.textContent = message;
+        status.className = `text-xs mt-2 ${errors.length > 0 ? 'text-red-600' : 'text-green-600'}`;
+        errorList.innerHTML = '';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = formatImportError(error);
+            errorList.appendChild(li);
+        });
+    };
+
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+            const { households: imported, errors } = importHouseholds(reader.result, format, economyParams);
+
+            if (errors.length > 0) {
+                showResult(`${file.name} を読み込めませんでした (${errors.length}件のエラー)`, errors);
+                return;
+            }
+            households = imported;
+            importedHouseholdFile = file.name;
+            economyParams.householdWeights = {};
+            showResult(`${file.name} から ${imported.length} 世帯を読み込みました`);
+            runSimulation();
+        };
+        reader.readAsText(file);
+        fileInput.value = '';
+    });
+
+    document.getElementById('btn-reset-households').addEventListener('click', () => {
+        households = generateHouseholdModels(economyParams);
+        importedHouseholdFile = null;
+        economyParams.householdWeights = {};
+        showResult('既定の世帯モデルに戻しました');
+        runSimulation();
+    });
+}
+
+/**
+ * Budget solver controls: find a funding mix for the target and apply it to economyParams
+ */
+function bindFundingSolver() {
+    const btnSolve = document.getElementById('btn-run-solver');
+    if (!btnSolve) return;
+
+    const targetSelect = document.getElementById('solver-target');
+    const bondShareRow = document.getElementById('solver-bond-share-row');
+    const resultElem = document.getElementById('solver-result');
+    const btnApply = document.getElementById('btn-apply-solver');
+    const percentOf = (id) => (parseFloat(document.getElementById(id).value) || 0) / 100;
+    let solution = null;
+
+    targetSelect.addEventListener('change', () => {
+        bondShareRow.classList.toggle('hidden', targetSelect.value !== 'maxBondShare');
+    });
+
+    btnSolve.addEventListener('click', () => {
+        const solver = new FundingSolver(economyParams, households);
+        solution = solver.solve(
+            { type: targetSelect.value, maxBondShare: percentOf('solver-bond-share') },
+            {
+                maxIncomeTax: percentOf('solver-max-income'),
+                maxConsumptionTax: percentOf('solver-max-consumption'),
+                maxCorpTax: percentOf('solver-max-corporate'),
+                welfareReduction: (parseFloat(document.getElementById('solver-welfare-cut').value) || 0) * 1000000000000
+            },
+            { minimiseLosers: document.getElementById('solver-minimise-losers').checked }
+        );
+
+        if (!solution.feasible) {
+            resultElem.className = 'text-xs text-red-600';
+            resultElem.textContent = solution.message;
+            btnApply.classList.add('hidden');
+            return;
+        }
+
+        const { rates } = solution;
+        resultElem.className = 'text-xs text-gray-700 space-y-1';
+        resultElem.innerHTML = `
+            <div>所得税 +${(rates.incomeTaxRateIncrease * 100).toFixed(0)}% / 消費税 +${(rates.consumptionTaxRateIncrease * 100).toFixed(0)}% / 法人税 +${(rates.corpTaxRateIncrease * 100).toFixed(0)}%</div>
+            <div>不足額: ${solution.shortfall.div(1000000000000).toFixed(1)}兆円 (国債比率 ${(solution.bondShare * 100).toFixed(1)}%)</div>
+            <div>負担増の世帯: ${(solution.losers / 10000).toFixed(0)}万世帯 (${(solution.loserShare * 100).toFixed(1)}%)</div>
+            <div class="text-gray-400">評価した組み合わせ: ${solution.evaluated}</div>
+        `;
+        btnApply.classList.remove('hidden');
+    });
+
+    btnApply.addEventListener('click', () => {
+        if (!solution || !solution.feasible) return;
+        FundingSolver.apply(economyParams, solution);
+        renderFundingForm();
+        runSimulation();
+        btnApply.classList.add('hidden');
+    });
+}
+
+/**
+ * Monte Carlo simulation over the current settings and the user-assigned distributions
+ */
+function createMonteCarloSimulation() {
+    return new MonteCarloSimulation(economyParams, households, {
+        draws: uncertaintySettings.draws,
+        confidence: uncertaintySettings.confidence,
+        distributions: uncertaintySettings.distributions
+    });
+}
+
+/**
+ * Uncertainty mode controls (enable, number of draws, band width, distributions)
+ */
+function bindUncertaintyControls() {
+    const enabledInput = document.getElementById('uncertainty-enabled');
+    if (!enabledInput) return;
+
+    enabledInput.checked = uncertaintySettings.enabled;
+    enabledInput.addEventListener('change', (e) => {
+        uncertaintySettings.enabled = e.target.checked;
+        runSimulation(); // Refreshes the point estimates, then the bands
+    });
+
+    const drawsInput = document.getElementById('uncertainty-draws');
+    drawsInput.value = uncertaintySettings.draws;
+    drawsInput.addEventListener('change', (e) => {
+        uncertaintySettings.draws = Math.min(2000, Math.max(20, parseInt(e.target.value, 10) || 200));
+        e.target.value = uncertaintySettings.draws;
+        updateUncertaintyBands();
+    });
+
+    const confidenceSelect = document.getElementById('uncertainty-confidence');
+    confidenceSelect.value = String(uncertaintySettings.confidence);
+    confidenceSelect.addEventListener('change', (e) => {
+        uncertaintySettings.confidence = parseFloat(e.target.value);
+        updateUncertaintyBands();
+    });
+
+    renderUncertaintyDistributions();
+}
+
+/**
+ * Distribution editor: one row per uncertain assumption (type + parameters, in display units)
+ */
+function renderUncertaintyDistributions() {
+    const container = document.getElementById('uncertainty-distributions');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const fieldsByType = {
+        fixed: [],
+        uniform: ['min', 'max'],
+        triangular: ['min', 'mode', 'max'],
+        normal: ['mean', 'sd']
+    };
+    const fieldLabels = { min: '最小', mode: '最頻', max: '最大', mean: '平均', sd: '標準偏差' };
+
+    UNCERTAIN_ASSUMPTIONS.forEach(item => {
+        const dist = uncertaintySettings.distributions[item.key];
+        const base = economyParams.modelAssumptions[item.key];
+
+        const row = document.createElement('div');
+        row.className = 'space-y-1';
+        row.innerHTML = `
+            <div class="flex justify-between items-center gap-2">
+                <label class="text-xs font-medium text-gray-700">${item.label}</label>
+                <select class="border border-gray-300 rounded p-1 text-xs">
+                    <option value="fixed">固定</option>
+                    <option value="uniform">一様</option>
+                    <option value="triangular">三角</option>
+                    <option value="normal">正規</option>
+                </select>
+            </div>
+            <div class="grid grid-cols-3 gap-1"></div>
+        `;
+        const typeSelect = row.querySelector('select');
+        const fieldsContainer = row.querySelector('.grid');
+        typeSelect.value = dist.type;
+
+        const renderFields = () => {
+            const current = uncertaintySettings.distributions[item.key];
+            fieldsContainer.innerHTML = '';
+            if (current.type === 'fixed') {
+                fieldsContainer.innerHTML = `<span class="col-span-3 text-xs text-gray-500">点推定値: ${(base / item.displayScale).toLocaleString()}</span>`;
+                return;
+            }
+            fieldsByType[current.type].forEach(field => {
+                const label = document.createElement('label');
+                label.className = 'text-xs text-gray-500';
+                label.innerHTML = `${fieldLabels[field]}<input type="number" step="any" class="w-full border border-gray-300 rounded p-1 text-right">`;
+                const input = label.querySelector('input');
+                input.value = Number((current[field] / item.displayScale).toPrecision(6));
+                input.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!Number.isFinite(value)) return;
+                    current[field] = value * item.displayScale;
+                    updateUncertaintyBands();
+                });
+                fieldsContainer.appendChild(label);
+            });
+        };
+
+        typeSelect.addEventListener('change', (e) => {
+            // New distribution centred on the point estimate (+-20%)
+            const defaults = {
+                fixed: { value: base },
+                uniform: { min: base * 0.8, max: base * 1.2 },
+                triangular: { min: base * 0.8, mode: base, max: base * 1.2 },
+                normal: { mean: base, sd: base * 0.1 }
+            };
+            uncertaintySettings.distributions[item.key] = { type: e.target.value, ...defaults[e.target.value] };
+            renderFields();
+            updateUncertaintyBands();
+        });
+
+        renderFields();
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Uncertainty mode: KPI cards show medians and confidence bands over Monte Carlo draws.
+ * Runs are debounced so that dragging a slider does not trigger a full run per step, and run a slice
+ * at a time so that the page stays responsive; a new run cancels the one in progress.
+ */
+function updateUncertaintyBands() {
+    const bandIds = ['kpi-total-cost-band', 'kpi-gdp-impact-band', 'kpi-poverty-rate-band'];
+    const status = document.getElementById('uncertainty-status');
+    clearTimeout(uncertaintyTimer);
+    cancelUncertaintyRun();
+
+    if (!uncertaintySettings.enabled) {
+        bandIds.forEach(id => {
+            const elem = document.getElementById(id);
+            if (elem) elem.classList.add('hidden');
+        });
+        if (status) status.textContent = '';
+        return;
+    }
+
+    if (status) status.textContent = '計算中...';
+    uncertaintyTimer = setTimeout(() => {
+        const startedAt = Date.now();
+        cancelUncertaintyRun = createMonteCarloSimulation().runStaticInChunks({
+            onProgress: (done, total) => {
+                if (status) status.textContent = `計算中... ${done} / ${total}回`;
+            },
+            onDone: (summary) => {
+                renderUncertaintyBands(summary);
+                if (status) status.textContent = `${summary.draws}回の試行 (${Date.now() - startedAt}ms)。時系列推移は「推移シミュレーション実行」で帯付きで再描画されます。`;
+            }
+        });
+    }, 300);
+}
+
+/**
+ * KPI cards: medians and bands of a runStatic() summary. The total cost does not depend on the
+ * uncertain assumptions, so its card keeps the point estimate and shows the band of the shortfall.
+ */
+function renderUncertaintyBands(summary) {
+    const level = `${Math.round(summary.confidence * 100)}%区間`;
+    const signed = (value, digits) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const toTrillion = (value) => (value / 1000000000000).toFixed(1);
+
+    const showBand = (valueId, bandId, value, band) => {
+        if (value !== null) document.getElementById(valueId).textContent = value;
+        const elem = document.getElementById(bandId);
+        elem.textContent = band;
+        elem.classList.remove('hidden');
+    };
+
+    const { gdpImpact, priceLevel, povertyRateChange, povertyRateAfter, shortfall } = summary;
+    showBand('kpi-total-cost', 'kpi-total-cost-band', null,
+        `前提値によらず一定 / 不足額 中央値 ${toTrillion(shortfall.median)} (${level}: ${toTrillion(shortfall.lower)}〜${toTrillion(shortfall.upper)})`);
+    showBand('kpi-gdp-impact', 'kpi-gdp-impact-band', `${signed(gdpImpact.median, 2)}%`,
+        `中央値 / ${level}: ${signed(gdpImpact.lower, 2)}% 〜 ${signed(gdpImpact.upper, 2)}% (物価 ${signed(priceLevel.lower, 2)}〜${signed(priceLevel.upper, 2)}%)`);
+    showBand('kpi-poverty-rate', 'kpi-poverty-rate-band', `${signed(povertyRateChange.median, 2)}pt`,
+        `中央値 / ${level}: ${signed(povertyRateChange.lower, 2)}〜${signed(povertyRateChange.upper, 2)}pt (改革後 ${povertyRateAfter.lower.toFixed(1)}〜${povertyRateAfter.upper.toFixed(1)}%)`);
+}
+
+/**
+ * Sensitivity analysis controls: run, tornado charts and export
+ */
+function bindSensitivityAnalysis() {
+    const btnRun = document.getElementById('btn-run-sensitivity');
+    if (!btnRun) return;
+
+    const btnCsv = document.getElementById('btn-export-sensitivity-csv');
+    const btnJson = document.getElementById('btn-export-sensitivity-json');
+    const status = document.getElementById('sensitivity-status');
+    let latest = null;
+    let cancelRun = () => {};
+
+    btnRun.addEventListener('click', () => {
+        const range = (parseFloat(document.getElementById('sensitivity-range').value) || 20) / 100;
+        const aiScenario = getAIScenario();
+
+        // A new run replaces the one in progress
+        cancelRun();
+        status.textContent = '計算中...';
+        cancelRun = new SensitivityAnalysis(economyParams, households, aiScenario, { range }).runInChunks({
+            onProgress: (done, total) => {
+                status.textContent = `計算中... ${done} / ${total}`;
+            },
+            onDone: (result) => {
+                latest = result;
+                renderTornadoCharts(latest);
+                status.textContent = `±${Math.round(range * 100)}% / ${latest.rows.length}項目`
+                    + (latest.skipped.length > 0 ? ` (値が0のため除外: ${latest.skipped.join(', ')})` : '');
+                btnCsv.disabled = false;
+                btnJson.disabled = false;
+            }
+        });
+    });
+
+    btnCsv.addEventListener('click', () => {
+        if (latest) downloadFile('sensitivity.csv', '\uFEFF' + SensitivityAnalysis.toCSV(latest), 'text/csv');
+    });
+    btnJson.addEventListener('click', () => {
+        if (latest) downloadFile('sensitivity.json', JSON.stringify(latest, null, 2), 'application/json');
+    });
+}
+
+/**
+ * Tornado chart per metric: change from the baseline at the low and high input value
+ */
+function renderTornadoCharts(result) {
+    const container = document.getElementById('sensitivity-charts');
+    Object.values(charts.sensitivity).forEach(chart => chart.destroy());
+    charts.sensitivity = {};
+    container.innerHTML = '';
+
+    SENSITIVITY_METRICS.forEach(metric => {
+        const rows = SensitivityAnalysis.rankBy(result, metric.key, 10);
+        const baseline = result.baseline[metric.key];
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `<h4 class="text-sm font-semibold text-gray-700 mb-2">${metric.label} — 基準値 ${metric.format(baseline)}</h4>`;
+        container.appendChild(wrapper);
+
+        if (rows.length === 0) {
+            wrapper.innerHTML += '<p class="text-xs text-gray-500">変動幅の範囲では変化しません。</p>';
+            return;
+        }
+
+        const chartBox = document.createElement('div');
+        chartBox.className = 'relative w-full';
+        chartBox.style.height = `${60 + rows.length * 28}px`;
+        const canvas = document.createElement('canvas');
+        chartBox.appendChild(canvas);
+        wrapper.appendChild(chartBox);
+
+        // Money metrics are shown in trillion JPY
+        const toDisplay = (value) => metric.key === 'shortfall' ? value / 1000000000000 : value;
+        charts.sensitivity[metric.key] = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: rows.map(row => row.label),
+                datasets: [
+                    {
+                        label: '下限 (−)',
+                        data: rows.map(row => [0, toDisplay(row.low[metric.key] - baseline)]),
+                        backgroundColor: 'rgba(59, 130, 246, 0.7)'
+                    },
+                    {
+                        label: '上限 (+)',
+                        data: rows.map(row => [0, toDisplay(row.high[metric.key] - baseline)]),
+                        backgroundColor: 'rgba(239, 68, 68, 0.7)'
+                    }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                datasets: { bar: { grouped: false } }, // Overlay low and high bars on one row
+                scales: {
+                    x: { title: { display: true, text: '基準値からの変化' } }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const row = rows[context.dataIndex];
+                                const isLow = context.datasetIndex === 0;
+                                const input = isLow ? row.lowValue : row.highValue;
+                                const output = isLow ? row.low[metric.key] : row.high[metric.key];
+                                return `${context.dataset.label} 入力 ${Number(input.toPrecision(4)).toLocaleString()} → ${metric.format(output)}`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Download text content as a file
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Scenario comparison controls: pin the current inputs or a saved scenario
+ */
+function bindScenarioComparison() {
+    const btnPinCurrent = document.getElementById('btn-pin-current');
+    if (!btnPinCurrent) return;
+
+    const status = document.getElementById('comparison-status');
+    const pin = (scenario) => {
+        let result;
+        try {
+            result = scenarioComparison.pin(createScenarioSnapshot(scenario, households));
+        } catch (e) {
+            status.textContent = `固定できませんでした: ${e.message}`;
+            status.className = 'text-xs text-red-600';
+            return;
+        }
+        status.textContent = result.message;
+        status.className = `text-xs ${result.pinned ? 'text-green-600' : 'text-red-600'}`;
+        renderScenarioComparison();
+    };
+
+    btnPinCurrent.addEventListener('click', () => {
+        const name = document.getElementById('scenario-name').value.trim()
+            || `シナリオ${scenarioComparison.snapshots.length + 1}`;
+        pin(createScenario(name, economyParams, getAIScenario(), agentSettings));
+    });
+    document.getElementById('btn-pin-saved').addEventListener('click', () => {
+        const scenario = scenarioStore.get(document.getElementById('comparison-saved-list').value);
+        if (scenario) pin(scenario);
+    });
+    document.getElementById('comparison-diff-baseline').addEventListener('change', () => {
+        updateDetailedTable(engine ? engine.results : null);
+    });
+    document.getElementById('comparison-timeline-metric').addEventListener('change', renderComparisonTimeline);
+
+    renderComparisonSavedList();
+    renderScenarioComparison();
+}
+
+/**
+ * Saved scenarios available for pinning
+ */
+function renderComparisonSavedList() {
+    const list = document.getElementById('comparison-saved-list');
+    if (!list) return;
+    const scenarios = scenarioStore.list();
+    list.innerHTML = scenarios.length === 0
+        ? '<option value="">保存済みなし</option>'
+        : scenarios.map(s => `<option value="${escapeHTML(s.name)}">${escapeHTML(s.name)}</option>`).join('');
+}
+
+/**
+ * Render the pinned scenarios: chips, KPI table, funding doughnuts, household chart and timeline
+ */
+function renderScenarioComparison() {
+    const snapshots = scenarioComparison.snapshots;
+
+    // Pinned chips
+    const pinned = document.getElementById('comparison-pinned');
+    pinned.innerHTML = '';
+    snapshots.forEach((snapshot, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'inline-flex items-center gap-2 border border-gray-200 rounded-full px-3 py-1 text-xs text-gray-700';
+        chip.innerHTML = `<span class="inline-block w-3 h-3 rounded-full" style="background:${COMPARISON_COLORS[index]}"></span>${escapeHTML(snapshot.name)}
+            <button class="text-gray-400 hover:text-red-600" title="比較から外す">✕</button>`;
+        chip.querySelector('button').addEventListener('click', () => {
+            scenarioComparison.unpin(snapshot.name);
+            renderScenarioComparison();
+        });
+        pinned.appendChild(chip);
+    });
+
+    // Baseline for the detailed table diff column
+    const baselineSelect = document.getElementById('comparison-diff-baseline');
+    const selected = baselineSelect.value;
+    baselineSelect.innerHTML = '<option value="">なし</option>'
+        + snapshots.map(s => `<option value="${escapeHTML(s.name)}">${escapeHTML(s.name)}</option>`).join('');
+    baselineSelect.value = snapshots.some(s => s.name === selected) ? selected : '';
+    updateDetailedTable(engine ? engine.results : null);
+
+    const hasComparison = snapshots.length >= 2;
+    document.getElementById('comparison-empty').classList.toggle('hidden', hasComparison);
+    document.getElementById('comparison-content').classList.toggle('hidden', !hasComparison);
+    if (!hasComparison) return;
+
+    // KPI table
+    document.getElementById('comparison-kpi-head').innerHTML = `<tr>
+        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">指標</th>
+        ${snapshots.map((s, i) => `<th class="px-4 py-2 text-right text-xs font-medium uppercase tracking-wider" style="color:${COMPARISON_COLORS[i]}">${escapeHTML(s.name)}</th>`).join('')}
+    </tr>`;
+    document.getElementById('comparison-kpi-body').innerHTML = scenarioComparison.kpiRows().map(row => `
+        <tr>
+            <td class="px-4 py-2 whitespace-nowrap text-gray-900">${row.label}</td>
+            ${row.formatted.map(value => `<td class="px-4 py-2 whitespace-nowrap text-right text-gray-700">${value}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    // Funding doughnuts, one per scenario
+    charts.comparison.funding.forEach(chart => chart.destroy());
+    const fundingContainer = document.getElementById('comparison-funding-charts');
+    fundingContainer.innerHTML = '';
+    charts.comparison.funding = snapshots.map((snapshot, index) => {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `<div class="text-xs font-semibold text-center mb-1" style="color:${COMPARISON_COLORS[index]}">${escapeHTML(snapshot.name)}</div>
+            <div class="relative h-40"><canvas></canvas></div>`;
+        fundingContainer.appendChild(wrapper);
+        const fundingData = fundingChartData(snapshot.results);
+        return new Chart(wrapper.querySelector('canvas'), {
+            type: 'doughnut',
+            data: {
+                labels: fundingData.labels,
+                datasets: [{ data: fundingData.data, backgroundColor: fundingData.colors, borderWidth: 0 }]
+            },
+            options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } } }
+        });
+    });
+
+    // Household impact, one bar per scenario
+    const householdIds = snapshots[0].households.map(h => h.id);
+    const householdLabels = snapshots[0].households.map(h => h.label);
+    if (charts.comparison.households) charts.comparison.households.destroy();
+    charts.comparison.households = new Chart(document.getElementById('chart-comparison-households'), {
+        type: 'bar',
+        data: {
+            labels: householdLabels,
+            datasets: snapshots.map((snapshot, index) => {
+                const byId = Object.fromEntries(snapshot.households.map(h => [h.id, h.realNetChange.div(10000).toNumber()]));
+                return {
+                    label: snapshot.name,
+                    data: householdIds.map(id => byId[id] !== undefined ? byId[id] : null),
+                    backgroundColor: COMPARISON_COLORS[index]
+                };
+            })
+        },
+        options: { responsive: true, maintainAspectRatio: false, indexAxis: 'y' }
+    });
+
+    renderComparisonTimeline();
+}
+
+/**
+ * Overlay the pinned scenarios' timelines for the selected metric
+ */
+function renderComparisonTimeline() {
+    const snapshots = scenarioComparison.snapshots;
+    if (snapshots.length < 2) return;
+
+    const metricSelect = document.getElementById('comparison-timeline-metric');
+    const metric = metricSelect.value;
+    if (charts.comparison.timeline) charts.comparison.timeline.destroy();
+    charts.comparison.timeline = new Chart(document.getElementById('chart-comparison-timeline'), {
+        type: 'line',
+        data: {
+            // Scenarios may have different horizons: label the longest
+            labels: snapshots.reduce((longest, s) => s.timeline.length > longest.length ? s.timeline : longest, [])
+                .map(r => `${r.year}年目`),
+            datasets: snapshots.map((snapshot, index) => ({
+                label: snapshot.name,
+                data: snapshot.timeline.map(r => r[metric]),
+                borderColor: COMPARISON_COLORS[index],
+                backgroundColor: COMPARISON_COLORS[index],
+                tension: 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { title: { display: true, text: metricSelect.options[metricSelect.selectedIndex].text } }
+        }
+    });
+}
+
+/**
+ * Export buttons (CSV / JSON per table) and the printable report
+ */
+function bindExportControls() {
+    const status = document.getElementById('export-status');
+    if (!status) return;
+
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            const { export: kind, format } = button.dataset;
+            const rows = exportTableRows(kind);
+            const filename = `bi_${kind}.${format}`;
+            if (format === 'csv') downloadFile(filename, '\uFEFF' + rowsToCSV(rows), 'text/csv');
+            else downloadFile(filename, JSON.stringify(rows, null, 2), 'application/json');
+            status.textContent = `${filename} (${rows.length}行) を出力しました`;
+        });
+    });
+
+    document.getElementById('btn-open-report').addEventListener('click', () => {
+        const html = buildReportHTML(collectReport());
+        const win = window.open('', '_blank');
+        if (win) {
+            win.document.write(html);
+            win.document.close();
+            status.textContent = '新しいタブでレポートを開きました (印刷からPDFに保存できます)';
+        } else {
+            // Pop-up blocked: save the report instead
+            downloadFile('bi_report.html', html, 'text/html');
+            status.textContent = 'ポップアップがブロックされたため、レポートをHTMLファイルとして保存しました';
+        }
+    });
+}
+
+/**
+ * Rows of an export table, running the timeline / agent simulation first if it has not run yet
+ * @param {string} kind - 'households' | 'funding' | 'timeline' | 'agents'
+ */
+function exportTableRows(kind) {
+    switch (kind) {
+        case 'households':
+            return householdResultsTable(households, hh => engine.getWeight(hh));
+        case 'funding':
+            return fundingBreakdownTable(engine.results);
+        case 'timeline':
+            if (!latestTimeline) runTimelineSimulation();
+            return timelineTable(latestTimeline);
+        case 'agents':
+            if (!latestAgentHistory) runAgentSimulation();
+            return agentHistoryTable(latestAgentHistory);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Report contents: KPIs, assumptions, charts, appendix tables and the calculation logic
+ */
+function collectReport() {
+    if (!latestTimeline) runTimelineSimulation();
+    if (!latestAgentHistory) runAgentSimulation();
+    const results = engine.results;
+    updateLogicModal(results);
+
+    const trillion = (v) => (v / 1000000000000).toFixed(1);
+    const fixed = (digits) => (v) => Number(v).toFixed(digits);
+    const yen = (v) => Math.round(v).toLocaleString();
+    const pointRows = (items) => items.map(([label, value]) => ({ label, value }));
+    const pointColumns = [{ key: 'label', label: '項目' }, { key: 'value', label: '値' }];
+
+    const kpis = pointRows([
+        ['年間総コスト (兆円)', results.totalAnnualCost.div(1000000000000).toFixed(1)],
+        ['財源不足額 (兆円)', results.shortfall.div(1000000000000).toFixed(1)],
+        ['実質GDP影響 (%)', results.gdpImpact.toFixed(2)],
+        ['名目GDP影響 (%)', results.nominalGdpImpact.toFixed(2)],
+        ['物価上昇率 (%)', (results.priceLevel.total * 100).toFixed(2)],
+        ['貧困率 改革前 → 改革後 (%)', `${results.poverty.before.povertyRate.toFixed(1)} → ${results.poverty.after.povertyRate.toFixed(1)}`],
+        ['子どもの貧困率 改革後 (%)', results.poverty.after.childPovertyRate.toFixed(1)]
+    ]);
+
+    const aiScenario = getAIScenario();
+    const assumptions = pointRows([
+        ['BI月額 (子ども / 成人 / 高齢者)', `${yen(economyParams.monthlyUBIChild)} / ${yen(economyParams.monthlyUBI)} / ${yen(economyParams.monthlyUBIElderly)} 円`],
+        ['給付設計', economyParams.benefitDesign],
+        ['所得税率上乗せ / 消費税率上乗せ / 法人税率上乗せ', [economyParams.incomeTaxRateIncrease, economyParams.consumptionTaxRateIncrease, economyParams.corpTaxRateIncrease].map(r => `${(r * 100).toFixed(1)}%`).join(' / ')],
+        ['その他の財源', engine.getActiveFundingSources()
+            .map(source => `${source.shortLabel} ${Number((source.getRate(economyParams) * source.rate.displayScale).toFixed(6))}${source.rate.unit}`)
+            .join(' / ') || 'なし'],
+        ['国債発行額 / 福祉削減額 (兆円)', `${trillion(economyParams.govBondIssue)} / ${trillion(economyParams.welfareReduction)}`],
+        ['BIに置き換える制度', economyParams.replacedWelfarePrograms.join(', ') || 'なし'],
+        ['税収の推計方法', economyParams.revenueMode],
+        ['世帯データ', `${households.length}モデル`],
+        ['給付額の改定ルール', getIndexationRule(economyParams.indexation.rule).label
+            + (economyParams.indexation.rule === 'productivity_dividend' ? ` (配分 ${(economyParams.indexation.dividendShare * 100).toFixed(0)}%)` : '')],
+        ['人口推計', economyParams.demographics.projection === 'constant' ? '人口一定'
+            : `出生率 ${economyParams.demographics.fertilityRate} / 純移民 ${(economyParams.demographics.netMigration / 10000).toFixed(1)}万人/年 / 死亡率改善 ${(economyParams.demographics.mortalityImprovement * 100).toFixed(1)}%/年`],
+        ['AIシナリオ', `普及ペース ${aiScenario.pace} / 教育投資 ${aiScenario.investment} / ${aiScenario.years}年`],
+        ['職種グループ (シェア)', aiScenario.jobGroups.map(g => `${g.label} ${(g.share * 100).toFixed(1)}%`).join(' / ')],
+        ['エージェント設定', `${agentSettings.households}世帯 × ${agentSettings.personsPerHousehold}人 / ${agentSettings.years}年 / シード ${agentSettings.seed !== null ? agentSettings.seed : 'ランダム'}`],
+        ...Object.entries(economyParams.modelAssumptions).map(([key, value]) =>
+            [SENSITIVITY_LABELS[`modelAssumptions.${key}`] || key, value])
+    ]);
+
+    const chartImages = [
+        ['財源内訳', charts.funding],
+        ['世帯別影響 (年間実質手取変化, 万円)', charts.impact],
+        ['AIと雇用の推移', charts.timeline],
+        ['エージェント: 貧困率の推移', charts.agent]
+    ].filter(([, chart]) => chart)
+        .map(([title, chart]) => `<figure><figcaption>${title}</figcaption><img src="${chart.toBase64Image()}" alt="${title}"></figure>`)
+        .join('');
+
+    const agentYearly = agentHistoryTable(latestAgentHistory)
+        .filter((step, i, all) => step.step % 12 === 11 || i === all.length - 1)
+        .map(step => ({ ...step, year: Math.ceil((step.step + 1) / 12) }));
+
+    return {
+        title: 'ベーシックインカム試算レポート',
+        generatedAt: new Date().toLocaleString(),
+        sections: [
+            { title: '主要指標', html: rowsToHTMLTable(kpis, pointColumns) },
+            { title: '前提条件', html: rowsToHTMLTable(assumptions, pointColumns) },
+            { title: 'グラフ', html: `<div class="charts">${chartImages}</div>` },
+            {
+                title: '付表1: 財源内訳',
+                html: rowsToHTMLTable(fundingBreakdownTable(results), [
+                    { key: 'label', label: '財源' },
+                    { key: 'amountTrillion', label: '金額 (兆円)', format: fixed(2) },
+                    { key: 'shareOfCost', label: '総コストに占める割合 (%)', format: (v) => (v * 100).toFixed(1) }
+                ])
+            },
+            {
+                title: '付表2: GDP影響の内訳',
+                html: rowsToHTMLTable(results.macro.channels.map(c => ({ ...c, amount: c.amount.toNumber(), gdpEffect: c.gdpEffect.toNumber() })), [
+                    { key: 'label', label: '経路' },
+                    { key: 'amount', label: '金額 (兆円)', format: trillion },
+                    { key: 'mpc', label: 'MPC', format: fixed(2) },
+                    { key: 'multiplier', label: '乗数', format: fixed(2) },
+                    { key: 'gdpEffect', label: 'GDP寄与 (兆円)', format: trillion },
+                    { key: 'gdpImpact', label: 'GDP寄与 (%)', format: fixed(2) }
+                ])
+            },
+            {
+                title: '付表3: 世帯別結果 (年額, 円)',
+                note: '実質変化は需要インフレを除いた基準年価格。世帯数は各モデルが代表する実世帯数。',
+                html: rowsToHTMLTable(householdResultsTable(households, hh => engine.getWeight(hh)), [
+                    { key: 'label', label: '世帯タイプ' },
+                    { key: 'weight', label: '世帯数 (万)', format: (v) => (v / 10000).toFixed(0) },
+                    { key: 'annualIncome', label: '年収', format: yen },
+                    { key: 'biReceived', label: 'BI受給額', format: yen },
+                    { key: 'incomeTaxIncrease', label: '所得税増', format: yen },
+                    { key: 'consumptionTaxIncrease', label: '消費税増', format: yen },
+                    { key: 'corporateTaxBurden', label: '法人税負担', format: yen },
+                    ...engine.getActiveFundingSources().map(source => ({ key: `${source.id}Burden`, label: `${source.shortLabel}負担`, format: yen })),
+                    { key: 'lostBenefits', label: '既存給付の喪失', format: yen },
+                    { key: 'netChange', label: '名目変化', format: yen },
+                    { key: 'realNetChange', label: '実質変化', format: yen }
+                ])
+            },
+            {
+                title: '付表4: AIと雇用の推移',
+                html: rowsToHTMLTable(timelineTable(latestTimeline), [
+                    { key: 'year', label: '年' },
+                    { key: 'gdp', label: '名目GDP (兆円)', format: fixed(1) },
+                    { key: 'realGdp', label: '実質GDP (兆円)', format: fixed(1) },
+                    { key: 'debt', label: '債務残高 (兆円)', format: fixed(0) },
+                    { key: 'unemployment', label: '失業率 (%)', format: fixed(2) },
+                    { key: 'avgWageIndex', label: '賃金指数', format: fixed(1) },
+                    { key: 'priceLevel', label: '物価水準', format: fixed(1) },
+                    { key: 'biMonthly', label: 'BI月額 (円)', format: yen },
+                    { key: 'realBiMonthly', label: '実質BI月額 (円)', format: yen },
+                    { key: 'biCost', label: 'BIコスト (兆円)', format: fixed(1) },
+                    { key: 'deficit', label: '財政赤字 (兆円)', format: fixed(1) },
+                    { key: 'interestCost', label: '利払い増 (兆円)', format: fixed(1) },
+                    { key: 'debtToGdp', label: '債務/GDP (%)', format: fixed(1) },
+                    { key: 'rMinusG', label: 'r − g (pt)', format: fixed(2) },
+                    { key: 'laborSupplyChange', label: 'BIによる労働供給の変化 (%)', format: fixed(2) },
+                    { key: 'laborSupplyGdpEffect', label: '労働供給のGDP寄与 (兆円)', format: fixed(1) },
+                    { key: 'retrainingGdpEffect', label: '再訓練・起業のGDP寄与 (兆円)', format: fixed(1) },
+                    ...latestTimeline[latestTimeline.length - 1].groups.map(g => ({
+                        key: `${g.id}_laborSupply`, label: `${g.label}: 労働供給の変化 (%)`, format: (v) => ((v - 1) * 100).toFixed(2)
+                    })),
+                    { key: 'population', label: '総人口 (万人)', format: (v) => (v / 10000).toFixed(0) },
+                    { key: 'labourForce', label: '労働力人口 (万人)', format: (v) => (v / 10000).toFixed(0) }
+                ])
+            },
+            {
+                title: '付表5: エージェント・シミュレーション (各年末)',
+                html: rowsToHTMLTable(agentYearly, [
+                    { key: 'year', label: '年' },
+                    { key: 'povertyRate', label: '貧困率 (%)', format: fixed(1) },
+                    { key: 'avgWorkHours', label: '平均労働時間 (週)', format: fixed(1) }
+                ])
+            },
+            { title: '計算ロジック', html: `<div class="logic">${document.getElementById('logic-content').innerHTML}</div>` }
+        ]
+    };
+}
+
+/**
+ * Agent simulation settings inputs
+ */
+function bindAgentSettings() {
+    const inputs = {
+        households: document.getElementById('agent-households'),
+        years: document.getElementById('agent-years'),
+        seed: document.getElementById('agent-seed')
+    };
+    if (!inputs.households) return;
+
+    const read = () => {
+        agentSettings = {
+            ...agentSettings,
+            households: Math.max(10, parseInt(inputs.households.value, 10) || DEFAULT_AGENT_SETTINGS.households),
+            years: Math.max(1, parseInt(inputs.years.value, 10) || DEFAULT_AGENT_SETTINGS.years),
+            seed: inputs.seed.value === '' ? null : parseInt(inputs.seed.value, 10)
+        };
+    };
+    Object.values(inputs).forEach(input => input.addEventListener('change', read));
+    renderAgentSettings();
+}
+
+/**
+ * Show agentSettings in the agent simulation inputs
+ */
+function renderAgentSettings() {
+    const elHouseholds = document.getElementById('agent-households');
+    if (!elHouseholds) return;
+    elHouseholds.value = agentSettings.households;
+    document.getElementById('agent-years').value = agentSettings.years;
+    document.getElementById('agent-seed').value = agentSettings.seed !== null ? agentSettings.seed : '';
+}
+
+/**
+ * Replace the current inputs with a scenario's (forms and results are not refreshed here).
+ * Scenarios do not hold household data, so an imported dataset is replaced by the default models.
+ * @returns {string} Scenario name
+ */
+function applyScenarioInputs(scenario) {
+    const restored = restoreScenario(scenario);
+    economyParams = restored.params;
+    households = generateHouseholdModels(economyParams);
+    if (importedHouseholdFile) {
+        const status = document.getElementById('household-import-status');
+        status.textContent = `シナリオの読み込みにより、取り込んだ ${importedHouseholdFile} から既定の世帯モデルに戻しました`;
+        status.className = 'text-xs mt-2 text-amber-600';
+        document.getElementById('household-import-errors').innerHTML = '';
+        importedHouseholdFile = null;
+    }
+    document.getElementById('ai-pace').value = restored.aiScenario.pace;
+    document.getElementById('ai-investment').value = restored.aiScenario.investment;
+    document.getElementById('timeline-years').value = restored.aiScenario.years;
+    jobGroupConfigs = cloneJobGroups(restored.aiScenario.jobGroups || DEFAULT_JOB_GROUPS);
+    renderJobGroupEditor();
+    agentSettings = restored.agents;
+    renderAgentSettings();
+    return restored.name;
+}
+
+/**
+ * Load a scenario and refresh every form and result
+ */
+function applyScenario(scenario) {
+    const name = applyScenarioInputs(scenario);
+    renderParametersForm();
+    renderFundingForm();
+    renderRolloutForm();
+    renderDemographicsForm();
+    runSimulation();
+    runTimelineSimulation();
+    runAgentSimulation();
+    return name;
+}
+
+/**
+ * Restore the scenario in the URL hash, if any (before the first render)
+ * @returns {Object|null} { name, message, isError }, null when the URL holds no scenario
+ */
+function applyScenarioFromHash() {
+    try {
+        const scenario = decodeScenarioHash(window.location.hash);
+        if (!scenario) return null;
+        const name = applyScenarioInputs(scenario);
+        return { name, message: `共有URLのシナリオ「${name || '無題'}」を読み込みました`, isError: false };
+    } catch (e) {
+        return { name: '', message: e.message, isError: true };
+    }
+}
+
+/**
+ * Scenario save / load / share controls
+ * @param {Object|null} sharedScenario - Result of applyScenarioFromHash on load
+ */
+function bindScenarioControls(sharedScenario) {
+    const btnSave = document.getElementById('btn-save-scenario');
+    if (!btnSave) return;
+
+    const nameInput = document.getElementById('scenario-name');
+    const list = document.getElementById('scenario-list');
+    const status = document.getElementById('scenario-status');
+    const showStatus = (message, isError = false) => {
+        status.textContent = message;
+        status.className = `text-xs ${isError ? 'text-red-600' : 'text-green-600'}`;
+    };
+    const currentScenario = () => createScenario(nameInput.value.trim(), economyParams, getAIScenario(), agentSettings);
+
+    const renderList = (selected = list.value) => {
+        const scenarios = scenarioStore.list();
+        list.innerHTML = scenarios.length === 0
+            ? '<option value="">保存済みのシナリオはありません</option>'
+            : scenarios.map(s => `<option value="${escapeHTML(s.name)}">${escapeHTML(s.name)} (${new Date(s.savedAt).toLocaleString()})</option>`).join('');
+        if (scenarios.some(s => s.name === selected)) list.value = selected;
+        renderComparisonSavedList();
+    };
+
+    btnSave.addEventListener('click', () => {
+        const scenario = currentScenario();
+        if (!scenario.name) {
+            showStatus('シナリオ名を入力してください', true);
+            return;
+        }
+        try {
+            scenarioStore.save(scenario);
+        } catch (e) {
+            showStatus(`保存できませんでした: ${e.message}`, true);
+            return;
+        }
+        renderList(scenario.name);
+        showStatus(`「${scenario.name}」を保存しました`);
+    });
+
+    document.getElementById('btn-load-scenario').addEventListener('click', () => {
+        const scenario = scenarioStore.get(list.value);
+        if (!scenario) return;
+        try {
+            nameInput.value = applyScenario(scenario);
+            showStatus(`「${scenario.name}」を読み込みました`);
+        } catch (e) {
+            showStatus(e.message, true);
+        }
+    });
+
+    document.getElementById('btn-delete-scenario').addEventListener('click', () => {
+        if (!list.value || !confirm(`「${list.value}」を削除しますか？`)) return;
+        scenarioStore.remove(list.value);
+        renderList();
+        showStatus('削除しました');
+    });
+
+    document.getElementById('btn-share-scenario').addEventListener('click', () => {
+        const scenario = currentScenario();
+        const url = window.location.href.split('#')[0] + encodeScenarioHash(scenario);
+        history.replaceState(null, '', url);
+        navigator.clipboard.writeText(url)
+            .then(() => showStatus('共有URLをコピーしました'))
+            .catch(() => showStatus('アドレスバーのURLをコピーして共有してください'));
+    });
+
+    // A shared link opened in an existing tab only changes the hash
+    window.addEventListener('hashchange', () => {
+        try {
+            const scenario = decodeScenarioHash(window.location.hash);
+            if (!scenario) return;
+            nameInput.value = applyScenario(scenario);
+            showStatus(`共有URLのシナリオ「${nameInput.value || '無題'}」を読み込みました`);
+        } catch (e) {
+            showStatus(e.message, true);
+        }
+    });
+
+    renderList();
+    if (sharedScenario) {
+        nameInput.value = sharedScenario.name;
+        showStatus(sharedScenario.message, sharedScenario.isError);
+    }
+}
+
+/**
+ * Update Revenue Reconciliation (microdata vs rule of thumb)
+ */
+function updateRevenueReconciliation(results) {
+    const tbody = document.getElementById('revenue-reconciliation-body');
+    if (!tbody) return;
+
+    const toTrillion = (d) => d.div(1000000000000).toFixed(2);
+    tbody.innerHTML = results.revenueReconciliation.map(row => `
+        <tr>
+            <td class="px-4 py-2 whitespace-nowrap text-gray-900">${row.label}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right ${economyParams.revenueMode === 'microdata' ? 'font-bold' : 'text-gray-500'}">${toTrillion(row.microdata)}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right ${economyParams.revenueMode === 'ruleOfThumb' ? 'font-bold' : 'text-gray-500'}">${toTrillion(row.ruleOfThumb)}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right ${row.gap.gte(0) ? 'text-green-600' : 'text-red-600'}">${row.gap.gte(0) ? '+' : ''}${toTrillion(row.gap)}</td>
+        </tr>
+    `).join('');
+
+    const note = document.getElementById('revenue-reconciliation-note');
+    if (note) {
+        const scale = results.aggregates.scale.toNumber();
+        note.textContent = `太字が財源内訳に使われている推計です。人口換算係数: ×${scale.toFixed(2)}`;
+    }
+}
+
+/**
+ * Update GDP Impact by Channel (MacroModel breakdown)
+ */
+function updateMacroBreakdown(results) {
+    const tbody = document.getElementById('macro-breakdown-body');
+    if (!tbody || !results.macro) return;
+
+    const toTrillion = (d) => d.div(1000000000000).toFixed(1);
+    const signed = (text, positive) => `${positive ? '+' : ''}${text}`;
+    const rows = results.macro.channels.map(channel => `
+        <tr>
+            <td class="px-4 py-2 whitespace-nowrap text-gray-900">${channel.label}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right text-gray-500">${toTrillion(channel.amount)}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right text-gray-500">${channel.mpc.toFixed(2)}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right text-gray-500">${channel.multiplier.toFixed(2)}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right ${channel.gdpEffect.gte(0) ? 'text-green-600' : 'text-red-600'}">${signed(toTrillion(channel.gdpEffect), channel.gdpEffect.gte(0))}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right ${channel.gdpImpact >= 0 ? 'text-green-600' : 'text-red-600'}">${signed(channel.gdpImpact.toFixed(2), channel.gdpImpact >= 0)}</td>
+        </tr>
+    `);
+    rows.push(`
+        <tr class="font-bold">
+            <td class="px-4 py-2 whitespace-nowrap text-gray-900">合計 (実質GDP)</td>
+            <td class="px-4 py-2"></td>
+            <td class="px-4 py-2"></td>
+            <td class="px-4 py-2"></td>
+            <td class="px-4 py-2 whitespace-nowrap text-right">${signed(toTrillion(results.macro.totalEffect), results.macro.totalEffect.gte(0))}</td>
+            <td class="px-4 py-2 whitespace-nowrap text-right">${signed(results.macro.gdpImpact.toFixed(2), results.macro.gdpImpact >= 0)}</td>
+        </tr>
+    `);
+    tbody.innerHTML = rows.join('');
+
+    const note = document.getElementById('macro-mpc-note');
+    if (note) {
+        const levelLabels = { low: '低所得', lower_mid: '中低所得', mid: '中所得', upper_mid: '中高所得', high: '高所得' };
+        const mpcs = Object.entries(results.macro.mpcByLevel)
+            .map(([level, mpc]) => `${levelLabels[level] || level} ${mpc.toFixed(2)}`)
+            .join(' / ');
+        note.textContent = `所得階層別の限界消費性向: ${mpcs}`;
+    }
+}
+
+/**
+ * Update Benefit Design Comparison (same households and funding, every design)
+ */
+function updateDesignComparison() {
+    const tbody = document.getElementById('design-comparison-body');
+    const householdTable = document.getElementById('design-household-table');
+    if (!tbody || !householdTable) return;
+
+    const comparison = SimulationEngine.compareDesigns(economyParams, households);
+    const toTrillion = (d) => d.div(1000000000000).toFixed(1);
+
+    tbody.innerHTML = '';
+    comparison.forEach(design => {
+        const winners = design.households.filter(h => h.netChange.gt(0)).length;
+        const isSelected = design.id === economyParams.benefitDesign;
+        const tr = document.createElement('tr');
+        tr.className = isSelected ? 'bg-blue-50' : '';
+        tr.innerHTML = `
+            <td class="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">${design.label}${isSelected ? ' ✓' : ''}</td>
+            <td class="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">${toTrillion(design.grossCost)}</td>
+            <td class="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">${toTrillion(design.netCost)}</td>
+            <td class="px-4 py-3 whitespace-nowrap text-sm text-right ${design.shortfall.gt(0) ? 'text-red-500' : 'text-green-600'}">${toTrillion(design.shortfall)}</td>
+            <td class="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">${winners} / ${design.households.length}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    // Per-household net change by design
+    const header = `<thead class="bg-gray-50"><tr>
+        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500">世帯タイプ</th>
+        ${comparison.map(d => `<th class="px-4 py-2 text-right text-xs font-medium text-gray-500">${d.label}</th>`).join('')}
+    </tr></thead>`;
+    const rows = households.map((hh, i) => `<tr>
+        <td class="px-4 py-1 whitespace-nowrap text-gray-900">${escapeHTML(hh.label)}</td>
+        ${comparison.map(d => {
+            const value = d.households[i].netChange.div(10000).toNumber();
+            return `<td class="px-4 py-1 whitespace-nowrap text-right ${value >= 0 ? 'text-green-600' : 'text-red-600'}">${value.toFixed(1)}</td>`;
+        }).join('')}
+    </tr>`).join('');
+    householdTable.innerHTML = `${header}<tbody class="bg-white divide-y divide-gray-100">${rows}</tbody>`;
+}
+
 /**
  * Logic Explanation Modal Control
  */
@@ -528,15 +2522,33 @@ function updateLogicModal(results) {
     // Only update if needed, but here we just update DOM elements directly
     const totalCostTrillion = results.totalAnnualCost.div(1000000000000).toFixed(1);
     const deficitTrillion = results.shortfall.div(1000000000000).toFixed(1);
-    const monthlyMan = economyParams.monthlyUBI / 10000;
+    const groupLabels = { child: '子ども', adult: '成人', elderly: '高齢者' };
+    const amounts = Object.keys(groupLabels)
+        .map(group => `${groupLabels[group]}${economyParams.getMonthlyBenefit(group) / 10000}万円`)
+        .join('・');
+    const totalHouseholds = Math.round(results.aggregates.households.div(10000).toNumber()).toLocaleString();
+    const costBreakdown = `${households.length}モデル × 世帯数 計${totalHouseholds}万世帯, 月額 ${amounts}`;
 
     const elCost = document.getElementById('logic-cost-val');
     const elUbi = document.getElementById('logic-ubi-val');
     const elDeficit = document.getElementById('logic-deficit-val');
 
     if (elCost) elCost.textContent = totalCostTrillion;
-    if (elUbi) elUbi.textContent = monthlyMan;
+    if (elUbi) elUbi.textContent = costBreakdown;
     if (elDeficit) elDeficit.textContent = deficitTrillion;
+
+    const elPrice = document.getElementById('logic-price-val');
+    if (elPrice) {
+        const { consumptionTax, demandPull, total } = results.priceLevel;
+        elPrice.textContent = `${(total * 100).toFixed(2)}% (消費税要因 ${(consumptionTax * 100).toFixed(2)}% / 需要要因 ${(demandPull * 100).toFixed(2)}%)`;
+    }
+
+    const elGdp = document.getElementById('logic-gdp-val');
+    if (elGdp && results.macro) {
+        const positive = results.macro.channels.filter(c => c.gdpImpact > 0).reduce((sum, c) => sum + c.gdpImpact, 0);
+        const negative = results.macro.channels.filter(c => c.gdpImpact < 0).reduce((sum, c) => sum + c.gdpImpact, 0);
+        elGdp.textContent = `${results.gdpImpact.toFixed(2)}% (+${positive.toFixed(2)}% / ${negative.toFixed(2)}%)`;
+    }
 }
 
 // Event Listeners for Modal
@@ -0,0 +1,125 @@
+/**
+ * benefit_design.js
+ * Pluggable benefit designs (universal BI, negative income tax, means-tested benefit, partial BI).
+ * Every design converts a household into an annual payment, so the same households
+ * and funding settings can be compared across designs.
+ */
+
+/**
+ * Base class for a benefit design.
+ * The age-tiered schedule in EconomyParameters (child / adult / elderly amounts)
+ * is the full entitlement that each design pays out in full or in part.
+ */
+class BenefitDesign {
+    /**
+     * @param {string} id - Registry key (e.g. 'ubi')
+     * @param {string} label - Display label
+     * @param {string} description - Short explanation for the UI
+     */
+    constructor({ id, label, description }) {
+        this.id = id;
+        this.label = label;
+        this.description = description;
+    }
+
+    /**
+     * Full annual entitlement of a household under the age-tiered schedule (JPY, Decimal).
+     */
+    fullEntitlement(household, params) {
+        return params.calculateMonthlyBenefit(household.membersByAgeGroup).times(12);
+    }
+
+    /**
+     * Annual payment to a household under this design (JPY, Decimal).
+     * @param {Household} household
+     * @param {EconomyParameters} params - Design options are read from params.benefitDesignOptions
+     */
+    calculatePayment(household, params) {
+        throw new Error(`calculatePayment is not implemented for design '${this.id}'`);
+    }
+}
+
+/**
+ * Pure universal payment: everyone receives the full amount.
+ */
+class UniversalBasicIncome extends BenefitDesign {
+    constructor() {
+        super({ id: 'ubi', label: '完全BI (Universal)', description: '全員に無条件で満額を給付' });
+    }
+
+    calculatePayment(household, params) {
+        return this.fullEntitlement(household, params);
+    }
+}
+
+/**
+ * Negative income tax: Payment = max(0, Guarantee - TaperRate * Income).
+ * The guarantee equals the household's full entitlement.
+ */
+class NegativeIncomeTax extends BenefitDesign {
+    constructor() {
+        super({ id: 'nit', label: '負の所得税 (NIT)', description: '保障額から所得×逓減率を差し引いて給付' });
+    }
+
+    calculatePayment(household, params) {
+        const guarantee = this.fullEntitlement(household, params);
+        const clawback = new Decimal(household.annualIncome).times(params.benefitDesignOptions.nitTaperRate);
+        return Decimal.max(0, guarantee.minus(clawback));
+    }
+}
+
+/**
+ * Means-tested benefit: full amount below the phase-out start,
+ * reduced linearly to zero at the phase-out end (equivalised household income).
+ */
+class MeansTestedBenefit extends BenefitDesign {
+    constructor() {
+        super({ id: 'means_tested', label: '所得制限付き給付 (Means-tested)', description: '等価所得が閾値を超えると段階的に減額' });
+    }
+
+    calculatePayment(household, params) {
+        const { meansTestStart, meansTestEnd } = params.benefitDesignOptions;
+        const equivalisedIncome = new Decimal(household.annualIncome).div(Math.sqrt(household.totalMembers));
+
+        let share;
+        if (equivalisedIncome.lte(meansTestStart)) {
+            share = new Decimal(1);
+        } else if (equivalisedIncome.gte(meansTestEnd)) {
+            share = new Decimal(0);
+        } else {
+            share = new Decimal(meansTestEnd).minus(equivalisedIncome).div(meansTestEnd - meansTestStart);
+        }
+        return this.fullEntitlement(household, params).times(share);
+    }
+}
+
+/**
+ * Partial BI: everyone receives a fixed share of the full amount.
+ */
+class PartialBasicIncome extends BenefitDesign {
+    constructor() {
+        super({ id: 'partial', label: '部分BI (Partial)', description: '全員に満額の一定割合を給付' });
+    }
+
+    calculatePayment(household, params) {
+        return this.fullEntitlement(household, params).times(params.benefitDesignOptions.partialShare);
+    }
+}
+
+// Registry of available designs (key = design id)
+const BENEFIT_DESIGNS = {
+    ubi: new UniversalBasicIncome(),
+    nit: new NegativeIncomeTax(),
+    means_tested: new MeansTestedBenefit(),
+    partial: new PartialBasicIncome()
+};
+
+/**
+ * Look up a benefit design by id (falls back to the universal design).
+ */
+function getBenefitDesign(id) {
+    return BENEFIT_DESIGNS[id] || BENEFIT_DESIGNS.ubi;
+}
+
+window.BENEFIT_DESIGNS = BENEFIT_DESIGNS;
+window.getBenefitDesign = getBenefitDesign;
@@ -0,0 +1,96 @@
+/**
+ * corporate_tax.js
+ * Corporate tax as a funding source, with an incidence model that passes
+ * part of the burden onto households via capital income, wages and prices.
+ */
+
+/**
+ * Approximate share of household income received as capital income (dividends, interest) by income level.
+ * Capital income is concentrated at the top, so this channel is progressive.
+ */
+const CAPITAL_INCOME_SHARE = {
+    low: 0.01,
+    lower_mid: 0.02,
+    mid: 0.03,
+    upper_mid: 0.05,
+    high: 0.10
+};
+
+class CorporateTaxModel {
+    /**
+     * @param {number} revenuePerPoint - Revenue of +1pt corporate tax rate (JPY). ~0.65T (15T revenue at 23.2%)
+     * @param {number} nationalWageBill - Total compensation of employees (JPY)
+     * @param {number} nationalConsumption - Total household consumption (JPY)
+     * @param {number} nationalCapitalIncome - Total household capital income (JPY)
+     */
+    constructor({
+        revenuePerPoint = 650000000000,
+        nationalWageBill = 290000000000000,
+        nationalConsumption = 300000000000000,
+        nationalCapitalIncome = 25000000000000
+    } = {}) {
+        this.revenuePerPoint = new Decimal(revenuePerPoint);
+        this.nationalWageBill = new Decimal(nationalWageBill);
+        this.nationalConsumption = new Decimal(nationalConsumption);
+        this.nationalCapitalIncome = new Decimal(nationalCapitalIncome);
+    }
+
+    /**
+     * Additional corporate tax revenue (JPY, Decimal).
+     */
+    estimateRevenue(params) {
+        return this.revenuePerPoint.times(params.corpTaxRateIncrease * 100);
+    }
+
+    /**
+     * Annual capital income of a household (JPY, Decimal).
+     */
+    capitalIncome(household) {
+        const share = CAPITAL_INCOME_SHARE[household.incomeLevel] || CAPITAL_INCOME_SHARE.mid;
+        return new Decimal(household.annualIncome).times(share);
+    }
+
+    /**
+     * Splits the household-borne part of the revenue into channels (weights are normalised).
+     * @returns {Object} { capital, wages, prices } as Decimal (JPY, national totals)
+     */
+    channelRevenue(params, revenue) {
+        const { householdShare, capitalWeight, wageWeight, priceWeight } = params.corpTaxIncidence;
+        const totalWeight = capitalWeight + wageWeight + priceWeight;
+        const borne = new Decimal(revenue).times(householdShare);
+
+        if (totalWeight <= 0) {
+            return { capital: new Decimal(0), wages: new Decimal(0), prices: new Decimal(0) };
+        }
+        return {
+            capital: borne.times(capitalWeight / totalWeight),
+            wages: borne.times(wageWeight / totalWeight),
+            prices: borne.times(priceWeight / totalWeight)
+        };
+    }
+
+    /**
+     * Burden of the corporate tax increase on one household, allocated by its share of each national base.
+     * @param {Household} household
+     * @param {EconomyParameters} params
+     * @param {Decimal} revenue - Additional corporate tax revenue (JPY)
+     * @param {Decimal} spending - Household annual consumption (JPY)
+     * @returns {Object} { capital, wages, prices, total } as Decimal (JPY / year)
+     */
+    householdBurden(household, params, revenue, spending) {
+        const channels = this.channelRevenue(params, revenue);
+
+        const capital = channels.capital.times(this.capitalIncome(household)).div(this.nationalCapitalIncome);
+        const wages = channels.wages.times(household.annualIncome).div(this.nationalWageBill);
+        const prices = channels.prices.times(spending).div(this.nationalConsumption);
+
+        return {
+            capital,
+            wages,
+            prices,
+            total: capital.plus(wages).plus(prices)
+        };
+    }
+}
+
+window.CorporateTaxModel = CorporateTaxModel;
@@ -0,0 +1,183 @@
+/**
+ * demographics.js
+ * Cohort-component population projection for the timeline: single-year ages grow one year older each year,
+ * births follow the fertility rate, deaths follow age-specific mortality (improving over time) and net migration
+ * adds young adults. The projection drives the BI cost by age group, the labour force and the basic pension budget.
+ * The settings are stored in EconomyParameters (params.demographics), so scenarios save and share them.
+ */
+
+/**
+ * Last single-year age (open-ended: 100 and over).
+ */
+const DEMOGRAPHIC_MAX_AGE = 100;
+
+/**
+ * Year-0 population by 5-year age band (thousands; 0-4, 5-9, ..., 95-99, 100+; 2020 Census).
+ */
+const BASE_POPULATION_BY_BAND = [
+    4541, 5114, 5376, 5706, 6320, 6384, 6714, 7498, 8476, 9868, 8738,
+    7940, 7442, 8236, 9189, 7103, 5390, 3694, 1753, 491, 80
+];
+
+/**
+ * Annual probability of death by 5-year age band (both sexes; approx. 2020 complete life table).
+ */
+const MORTALITY_RATES = [
+    0.0004, 0.0001, 0.0001, 0.0002, 0.0004, 0.0004, 0.0005, 0.0006, 0.0009, 0.0014, 0.0022,
+    0.0034, 0.0054, 0.0088, 0.0140, 0.0240, 0.0440, 0.0840, 0.1550, 0.2700, 0.4000
+];
+
+/**
+ * Labour force participation by 5-year age band (Labour Force Survey).
+ */
+const PARTICIPATION_RATES = [
+    0, 0, 0, 0.18, 0.75, 0.90, 0.86, 0.85, 0.87, 0.88, 0.87,
+    0.84, 0.75, 0.53, 0.34, 0.17, 0.08, 0.03, 0.01, 0, 0
+];
+
+/**
+ * Share of births by mother's age band (15-19 to 45-49; sums to 1) and share of women in those ages.
+ */
+const FERTILITY_SCHEDULE = { firstBand: 3, shares: [0.01, 0.08, 0.25, 0.36, 0.23, 0.065, 0.005] };
+const FEMALE_SHARE = 0.49;
+
+/**
+ * Ages over which net migration is spread (young adults).
+ */
+const MIGRATION_AGES = { from: 20, to: 39 };
+
+/**
+ * Value of a 5-year band table at a single-year age.
+ */
+function bandValue(table, age) {
+    return table[Math.min(table.length - 1, Math.floor(age / 5))];
+}
+
+class PopulationProjection {
+    /**
+     * @param {string} projection - 'cohort' (births, deaths and migration) | 'constant' (year-0 population throughout)
+     * @param {number} fertilityRate - Total fertility rate (births per woman over her lifetime)
+     * @param {number} mortalityImprovement - Annual decline of every death rate (0.01 = 1%)
+     * @param {number} netMigration - Net immigrants per year (persons, aged 20-39)
+     * @param {number} targetPopulation - Year-0 total; the census age structure is scaled to it
+     */
+    constructor({
+        projection = 'cohort',
+        fertilityRate = 1.3,
+        mortalityImprovement = 0.01,
+        netMigration = 164000,
+        targetPopulation = 126000000
+    } = {}) {
+        this.projection = projection;
+        this.fertilityRate = fertilityRate;
+        this.mortalityImprovement = mortalityImprovement;
+        this.netMigration = netMigration;
+
+        // Single-year cohorts: each band is spread evenly over its ages
+        const censusTotal = BASE_POPULATION_BY_BAND.reduce((sum, count) => sum + count, 0) * 1000;
+        const scale = targetPopulation / censusTotal;
+        this.cohorts = Array.from({ length: DEMOGRAPHIC_MAX_AGE + 1 }, (_, age) =>
+            age === DEMOGRAPHIC_MAX_AGE
+                ? bandValue(BASE_POPULATION_BY_BAND, age) * 1000 * scale
+                : bandValue(BASE_POPULATION_BY_BAND, age) * 1000 / 5 * scale);
+        this.year = 0;
+        this.births = 0;
+        this.deaths = 0;
+    }
+
+    /**
+     * Advances one year: survivors age by one, births enter at age 0 and migrants join the young adults.
+     * @returns {Object} summary() of the new year
+     */
+    step() {
+        this.year += 1;
+        if (this.projection === 'constant') return this.summary();
+
+        const improvement = Math.pow(1 - this.mortalityImprovement, this.year);
+        const deathRate = (age) => Math.min(1, bandValue(MORTALITY_RATES, age) * improvement);
+        const births = this.fertilityRate * this.cohorts.reduce((sum, count, age) => {
+            const band = Math.floor(age / 5) - FERTILITY_SCHEDULE.firstBand;
+            const share = FERTILITY_SCHEDULE.shares[band] || 0;
+            return sum + count * FEMALE_SHARE * share / 5;
+        }, 0);
+
+        const next = new Array(DEMOGRAPHIC_MAX_AGE + 1).fill(0);
+        let deaths = births * deathRate(0);
+        next[0] = births - births * deathRate(0);
+        this.cohorts.forEach((count, age) => {
+            const died = count * deathRate(age);
+            deaths += died;
+            next[Math.min(DEMOGRAPHIC_MAX_AGE, age + 1)] += count - died;
+        });
+        const migrantsPerAge = this.netMigration / (MIGRATION_AGES.to - MIGRATION_AGES.from + 1);
+        for (let age = MIGRATION_AGES.from; age <= MIGRATION_AGES.to; age++) {
+            next[age] = Math.max(0, next[age] + migrantsPerAge);
+        }
+
+        this.cohorts = next;
+        this.births = births;
+        this.deaths = deaths;
+        return this.summary();
+    }
+
+    /**
+     * Current population (persons).
+     * @returns {Object} { year, total, byAgeGroup: { child, adult, elderly }, labourForce, births, deaths }
+     */
+    summary() {
+        const byAgeGroup = { child: 0, adult: 0, elderly: 0 };
+        let labourForce = 0;
+        this.cohorts.forEach((count, age) => {
+            byAgeGroup[getAgeGroup(age)] += count;
+            labourForce += count * bandValue(PARTICIPATION_RATES, age);
+        });
+        return {
+            year: this.year,
+            total: byAgeGroup.child + byAgeGroup.adult + byAgeGroup.elderly,
+            byAgeGroup,
+            labourForce,
+            births: this.births,
+            deaths: this.deaths
+        };
+    }
+}
+
+/**
+ * Preset assumptions (fertility and migration close to the 2023 national projection variants).
+ */
+const DEMOGRAPHIC_PRESETS = [
+    {
+        id: 'medium',
+        label: '中位推計 (出生率1.3, 純移民16.4万人/年)',
+        settings: { projection: 'cohort', fertilityRate: 1.3, mortalityImprovement: 0.01, netMigration: 164000 }
+    },
+    {
+        id: 'low',
+        label: '低位推計 (出生率1.1)',
+        settings: { projection: 'cohort', fertilityRate: 1.1, mortalityImprovement: 0.01, netMigration: 164000 }
+    },
+    {
+        id: 'high',
+        label: '高位推計 (出生率1.6)',
+        settings: { projection: 'cohort', fertilityRate: 1.6, mortalityImprovement: 0.01, netMigration: 164000 }
+    },
+    {
+        id: 'high_migration',
+        label: '移民拡大 (純移民50万人/年)',
+        settings: { projection: 'cohort', fertilityRate: 1.3, mortalityImprovement: 0.01, netMigration: 500000 }
+    },
+    {
+        id: 'constant',
+        label: '人口一定 (0年目の人口のまま)',
+        settings: { projection: 'constant', fertilityRate: 1.3, mortalityImprovement: 0.01, netMigration: 164000 }
+    }
+];
+
+function getDemographicPreset(id) {
+    return DEMOGRAPHIC_PRESETS.find(preset => preset.id === id);
+}
+
+window.DEMOGRAPHIC_MAX_AGE = DEMOGRAPHIC_MAX_AGE;
+window.PopulationProjection = PopulationProjection;
+window.DEMOGRAPHIC_PRESETS = DEMOGRAPHIC_PRESETS;
+window.getDemographicPreset = getDemographicPreset;
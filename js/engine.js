@@ -2,12 +2,28 @@ class SimulationEngine {
     constructor(parameters, households) {
         this.params = parameters; // EconomyParameters instance
         this.households = households; // Array of Household instances
+        this.corporateTaxModel = new CorporateTaxModel({
+            revenuePerPoint: parameters.modelAssumptions.corpTaxRevenuePerPoint
+        });
+        this.macroModel = new MacroModel(parameters.modelAssumptions);
+        this.priceLevelModel = new PriceLevelModel({
+            consumptionTaxPassThrough: parameters.modelAssumptions.consumptionTaxPassThrough,
+            demandPullElasticity: parameters.modelAssumptions.demandPullElasticity
+        });
         this.results = {
-            totalAnnualCost: new Decimal(0),
+            totalAnnualCost: new Decimal(0), // Gross cost (total payments)
+            netCost: new Decimal(0), // Gross cost - new tax revenue
+            aggregates: null, // Weighted household totals (see calculateAggregates)
+            ruleOfThumbRevenue: null, // Macro rule-of-thumb revenue estimates
+            revenueReconciliation: [], // Microdata vs rule-of-thumb revenue per tax
             fundingBreakdown: {},
             shortfall: new Decimal(0),
-            gdpImpact: 0, // %
+            gdpImpact: 0, // % (real output effect)
+            macro: null, // GDP impact by channel (see MacroModel.estimate)
+            nominalGdpImpact: 0, // % (output effect + price level change)
+            priceLevel: null, // { consumptionTax, demandPull, total, netInjection } from PriceLevelModel
             povertyRateChange: 0, // % points
+            poverty: null, // { before, after } from calculatePovertyIndicators
         };
     }
 
@@ -15,120 +31,349 @@ class SimulationEngine {
      * Main execution method to update all calculations
      */
     run() {
-        this.calculateTotalCost();
         this.calculateHouseholdImpacts();
+        this.calculateTotalCost();
+        this.calculatePriceLevel();
         this.calculateMacroIndicators();
         return this.results;
     }
 
     /**
-     * Calculates the total gross cost of the UBI program.
+     * Number of real households a household model represents (user overrides take precedence).
+     */
+    getWeight(hh) {
+        const override = this.params.householdWeights[hh.id];
+        return override !== undefined ? override : hh.weight;
+    }
+
+    /**
+     * Sums a per-household quantity over the weighted household models.
+     * @param {Function} valueOf - (household) => value per household
+     */
+    sumWeighted(valueOf) {
+        return this.households.reduce(
+            (sum, hh) => sum.plus(new Decimal(valueOf(hh)).times(this.getWeight(hh))),
+            new Decimal(0)
+        );
+    }
+
+    /**
+     * Factor grossing weighted household totals up to targetPopulation (1 when params.scaleToPopulation is off).
+     */
+    getPopulationScale() {
+        const persons = this.sumWeighted(hh => hh.totalMembers);
+        if (!this.params.scaleToPopulation || persons.lte(0)) return new Decimal(1);
+        return new Decimal(this.params.targetPopulation).div(persons);
+    }
+
+    /**
+     * Household annual consumption (JPY, Decimal): disposable income * propensity to consume.
+     */
+    getHouseholdSpending(hh) {
+        return hh.annualIncome.minus(hh.currentTax).times(hh.consumptionPropensity);
+    }
+
+    /**
+     * Additional funding sources with a non-zero rate (see funding_sources.js).
+     */
+    getActiveFundingSources() {
+        return FUNDING_SOURCES.filter(source => source.getRate(this.params) > 0);
+    }
+
+    /**
+     * Bottom-up aggregates over the weighted household models (requires calculateHouseholdImpacts).
+     * Monetary totals are grossed up so that the represented persons match targetPopulation
+     * (unless params.scaleToPopulation is off).
+     */
+    calculateAggregates() {
+        const households = this.sumWeighted(() => 1);
+        const persons = this.sumWeighted(hh => hh.totalMembers);
+        const scale = this.getPopulationScale();
+        const scaledSum = (valueOf) => this.sumWeighted(valueOf).times(scale);
+
+        return {
+            households,
+            persons,
+            scale,
+            biCost: scaledSum(hh => hh.simulationResults.biReceived),
+            incomeTaxRevenue: scaledSum(hh => hh.simulationResults.incomeTaxIncrease),
+            consumptionTaxRevenue: scaledSum(hh => hh.simulationResults.consumptionTaxIncrease),
+            corporateTaxBurden: scaledSum(hh => hh.simulationResults.corporateTaxBurden),
+            fundingSourceBurden: scaledSum(hh => hh.simulationResults.fundingSourceBurden),
+            lostBenefits: scaledSum(hh => hh.simulationResults.lostBenefits),
+            netTransfer: scaledSum(hh => hh.simulationResults.netChange)
+        };
+    }
+
+    /**
+     * Calculates the total gross cost of the UBI program and the funding mix.
+     * Cost and household tax revenue are sums over the weighted household models.
      */
     calculateTotalCost() {
-        const monthly = new Decimal(this.params.monthlyUBI);
-        const pop = new Decimal(this.params.targetPopulation);
+        const aggregates = this.calculateAggregates();
+        this.results.aggregates = aggregates;
 
-        // Simple calculation: Cost = Monthly * 12 * Population
-        // In Phase 2, we might adjust for child vs adult amounts
-        this.results.totalAnnualCost = monthly.times(12).times(pop);
+        // Gross Cost = Sum of BI payments over weighted households (age groups and design are applied per household)
+        this.results.totalAnnualCost = aggregates.biCost;
 
-        // Calculate available funding from sources
-        // Note: This is a simplified revenue model for MVP
+        // 1. Consumption / 2. Income Tax Revenue
+        // 'microdata': sums of the household-level tax increases (same calculation as the household table)
+        // 'ruleOfThumb': macro multiples per rate point
+        const ruleOfThumb = this.calculateRuleOfThumbRevenue();
+        const useRuleOfThumb = this.params.revenueMode === 'ruleOfThumb';
+        const consumptionTaxRevenueNew = useRuleOfThumb ? ruleOfThumb.consumptionTax : aggregates.consumptionTaxRevenue;
+        const incomeTaxRevenueNew = useRuleOfThumb ? ruleOfThumb.incomeTax : aggregates.incomeTaxRevenue;
 
-        // 1. Consumption Tax Revenue Calculation (Simplified)
-        // Assume 1% consumption tax = ~2.5 Trillion JPY (approx rule of thumb for Japan)
-        const consumptionTaxRevenueBase = new Decimal(2500000000000); // 2.5T
-        const consumptionTaxRevenueNew = consumptionTaxRevenueBase.times(this.params.consumptionTaxRateIncrease * 100);
+        this.results.ruleOfThumbRevenue = ruleOfThumb;
+        this.results.revenueReconciliation = [
+            { id: 'consumptionTax', label: '消費税増収', microdata: aggregates.consumptionTaxRevenue, ruleOfThumb: ruleOfThumb.consumptionTax },
+            { id: 'incomeTax', label: '所得税増収', microdata: aggregates.incomeTaxRevenue, ruleOfThumb: ruleOfThumb.incomeTax }
+        ].map(row => ({ ...row, gap: row.microdata.minus(row.ruleOfThumb) }));
 
-        // 2. Income Tax Revenue Impact (Simplified)
-        // Assume 1% income tax increase measures = ~1.0 Trillion JPY revenue (highly variable, but using simple multiple for MVP)
-        const incomeTaxRevenueNew = new Decimal(1000000000000).times(this.params.incomeTaxRateIncrease * 100);
+        // 3. Corporate Tax Revenue (national corporate base, not a household tax)
+        const corporateTaxRevenueNew = this.corporateTaxModel.estimateRevenue(this.params);
+
+        // 4. Additional funding sources (national bases, see funding_sources.js)
+        const fundingSourceRevenue = {};
+        this.getActiveFundingSources().forEach(source => {
+            fundingSourceRevenue[source.id] = source.estimateRevenue(this.params);
+        });
+        const taxRevenue = Object.values(fundingSourceRevenue).reduce(
+            (sum, revenue) => sum.plus(revenue),
+            consumptionTaxRevenueNew.plus(incomeTaxRevenueNew).plus(corporateTaxRevenueNew)
+        );
 
-        // 3. Other sources
+        // 5. Other sources
         const bondIssue = new Decimal(this.params.govBondIssue);
-        const welfareCuts = new Decimal(this.params.welfareReduction);
+        // Welfare cuts = Manual reduction + Budgets of programmes replaced by the BI
+        const welfareCuts = this.getReplacedPrograms().reduce(
+            (sum, program) => sum.plus(program.annualBudget),
+            new Decimal(this.params.welfareReduction)
+        );
 
         this.results.fundingBreakdown = {
             consumptionTax: consumptionTaxRevenueNew,
             incomeTax: incomeTaxRevenueNew,
+            corporateTax: corporateTaxRevenueNew,
+            ...fundingSourceRevenue,
             bonds: bondIssue,
             welfareCuts: welfareCuts
         };
 
-        const totalFunding = consumptionTaxRevenueNew
-            .plus(incomeTaxRevenueNew)
-            .plus(bondIssue)
-            .plus(welfareCuts);
+        const totalFunding = taxRevenue.plus(bondIssue).plus(welfareCuts);
 
         this.results.shortfall = this.results.totalAnnualCost.minus(totalFunding);
+        this.results.netCost = this.results.totalAnnualCost.minus(taxRevenue);
+    }
+
+    /**
+     * Welfare programmes replaced by the BI.
+     */
+    getReplacedPrograms() {
+        return this.params.replacedWelfarePrograms.map(getWelfareProgram).filter(Boolean);
+    }
+
+    /**
+     * Macro rules of thumb: +1pt consumption tax = ~2.5T JPY, +1pt on every income tax bracket = ~1.0T JPY
+     * (params.modelAssumptions). Bracket-specific reforms are converted to "uniform point equivalents"
+     * via the household models.
+     */
+    calculateRuleOfThumbRevenue() {
+        const { consumptionTaxRevenuePerPoint, incomeTaxRevenuePerPoint } = this.params.modelAssumptions;
+        return {
+            consumptionTax: new Decimal(consumptionTaxRevenuePerPoint).times(this.params.consumptionTaxRateIncrease * 100),
+            incomeTax: new Decimal(incomeTaxRevenuePerPoint).times(this.calculateIncomeTaxEquivalentPoints())
+        };
+    }
+
+    /**
+     * Returns the reformed tax schedule (base schedule + uniform and per-bracket rate increases).
+     */
+    getReformedTaxSchedule() {
+        return this.params.taxSchedule.withRateIncreases(
+            this.params.incomeTaxRateIncrease,
+            this.params.bracketRateIncreases
+        );
+    }
+
+    /**
+     * Expresses the income tax reform as the number of uniform +1pt increases
+     * that would raise the same revenue from the weighted household models.
+     */
+    calculateIncomeTaxEquivalentPoints() {
+        const base = this.params.taxSchedule;
+        const reformed = this.getReformedTaxSchedule();
+        const onePoint = base.withRateIncreases(0.01);
+
+        const reformIncrease = this.sumWeighted(hh => reformed.calculate(hh).incomeTax.minus(base.calculate(hh).incomeTax));
+        const onePointIncrease = this.sumWeighted(hh => onePoint.calculate(hh).incomeTax.minus(base.calculate(hh).incomeTax));
+
+        if (onePointIncrease.isZero()) return 0;
+        return reformIncrease.div(onePointIncrease).toNumber();
     }
 
     /**
      * Calculates impact for each household type.
      */
     calculateHouseholdImpacts() {
-        const annualUBI = new Decimal(this.params.monthlyUBI).times(12);
+        const baseSchedule = this.params.taxSchedule;
+        const reformedSchedule = this.getReformedTaxSchedule();
+        const design = getBenefitDesign(this.params.benefitDesign);
+        const corporateTaxRevenue = this.corporateTaxModel.estimateRevenue(this.params);
+        const replacedIds = this.params.replacedWelfarePrograms;
+
+        // Additional funding sources: revenue and the exposure of the represented population, so that
+        // the household burdens add up to the household-borne revenue
+        const scale = this.getPopulationScale();
+        const fundingSources = this.getActiveFundingSources().map(source => ({
+            source,
+            revenue: source.estimateRevenue(this.params),
+            totalExposure: this.sumWeighted(hh => source.householdExposure(hh, this.getHouseholdSpending(hh))).times(scale)
+        }));
 
         this.households.forEach(hh => {
-            // 1. Money received (UBI)
-            // Assuming everyone gets UBI for now (Universal)
-            const biReceived = annualUBI.times(hh.totalMembers);
+            // 1. Money received (BI)
+            // Amount depends on age group and the selected benefit design
+            const biReceived = design.calculatePayment(hh, this.params);
 
             // 2. Tax Increases
-            // Income Tax Increase: AnnualIncome * rate_increase
-            const incomeTaxIncrease = hh.annualIncome.times(this.params.incomeTaxRateIncrease);
+            // Income Tax Increase: Direct tax under the reformed schedule - direct tax under the current schedule
+            const currentDirectTax = baseSchedule.calculate(hh).total;
+            const incomeTaxIncrease = reformedSchedule.calculate(hh).total.minus(currentDirectTax);
 
             // Consumption Tax Increase: (AnnualIncome - CurrentTax) * propensity * rate_increase / (1 + current_rate)
             // Simplified: Disposable Income * Propensity * RateIncrease
             const disposableIncome = hh.annualIncome.minus(hh.currentTax);
-            const spending = disposableIncome.times(hh.consumptionPropensity);
+            const spending = this.getHouseholdSpending(hh);
             const consumptionTaxIncrease = spending.times(this.params.consumptionTaxRateIncrease);
 
-            const totalTaxIncrease = incomeTaxIncrease.plus(consumptionTaxIncrease);
+            // Corporate Tax Incidence: share of the corporate tax passed on via capital income, wages and prices
+            const corporateTaxBurden = this.corporateTaxModel
+                .householdBurden(hh, this.params, corporateTaxRevenue, spending).total;
+
+            // Additional Funding Sources: household-borne revenue allocated by the household's share of each base
+            const fundingSourceBurdens = {};
+            let fundingSourceBurden = new Decimal(0);
+            fundingSources.forEach(({ source, revenue, totalExposure }) => {
+                const burden = source.householdBurden(revenue, source.householdExposure(hh, spending), totalExposure);
+                fundingSourceBurdens[source.id] = burden;
+                fundingSourceBurden = fundingSourceBurden.plus(burden);
+            });
+
+            const totalTaxIncrease = incomeTaxIncrease.plus(consumptionTaxIncrease).plus(corporateTaxBurden).plus(fundingSourceBurden);
 
-            // 3. Net Impact
-            const netChange = biReceived.minus(totalTaxIncrease);
+            // 3. Existing Benefits (lost if the programme is replaced by the BI)
+            let currentBenefits = new Decimal(0);
+            let lostBenefits = new Decimal(0);
+            WELFARE_PROGRAMS.forEach(program => {
+                const benefit = program.calculateBenefit(hh, this.params);
+                currentBenefits = currentBenefits.plus(benefit);
+                if (replacedIds.includes(program.id)) lostBenefits = lostBenefits.plus(benefit);
+            });
 
-            // 4. Real Income Change Rate
+            // 4. Net Impact
+            const netChange = biReceived.minus(totalTaxIncrease).minus(lostBenefits);
+
+            // 5. Income Change Rate (nominal; converted to real terms in calculatePriceLevel)
             // (New Net - Old Net) / Old Net
-            // New Net = Disposable + NetChange
+            // Old Net = Disposable + Current Benefits, New Net = Old Net + NetChange
+            const currentNet = disposableIncome.plus(currentBenefits);
             let changeRate = new Decimal(0);
-            if (!disposableIncome.isZero()) {
-                changeRate = netChange.div(disposableIncome).times(100);
+            if (!currentNet.isZero()) {
+                changeRate = netChange.div(currentNet).times(100);
             }
 
             // Update Household model
             hh.simulationResults.biReceived = biReceived;
+            hh.simulationResults.disposableIncome = hh.annualIncome.minus(currentDirectTax).plus(currentBenefits);
             hh.simulationResults.newTax = hh.currentTax.plus(totalTaxIncrease);
+            hh.simulationResults.incomeTaxIncrease = incomeTaxIncrease;
+            hh.simulationResults.consumptionTaxIncrease = consumptionTaxIncrease;
+            hh.simulationResults.corporateTaxBurden = corporateTaxBurden;
+            hh.simulationResults.fundingSourceBurden = fundingSourceBurden;
+            hh.simulationResults.fundingSourceBurdens = fundingSourceBurdens;
+            hh.simulationResults.currentBenefits = currentBenefits;
+            hh.simulationResults.lostBenefits = lostBenefits;
             hh.simulationResults.netChange = netChange;
+            hh.simulationResults.realNetChange = netChange;
+            hh.simulationResults.realBiValue = biReceived;
             hh.simulationResults.realIncomeChangeRate = changeRate;
         });
     }
 
     /**
-     * Estimates Macro Indicators (Simplified for Phase 1)
+     * Price level response and real-terms household results (requires calculateTotalCost).
+     * The consumption tax increase is already charged to households as consumptionTaxIncrease,
+     * so household incomes are deflated by demand-pull inflation only; the BI itself loses
+     * purchasing power to both channels.
+     */
+    calculatePriceLevel() {
+        const netInjection = this.results.aggregates.netTransfer;
+        const priceLevel = this.priceLevelModel.estimate(this.params, netInjection);
+        this.results.priceLevel = { ...priceLevel, netInjection };
+
+        this.households.forEach(hh => {
+            const sim = hh.simulationResults;
+            const currentNet = hh.annualIncome.minus(hh.currentTax).plus(sim.currentBenefits);
+            const realNewNet = PriceLevelModel.deflate(currentNet.plus(sim.netChange), priceLevel.demandPull);
+
+            sim.realNetChange = realNewNet.minus(currentNet);
+            sim.realBiValue = PriceLevelModel.deflate(sim.biReceived, priceLevel.total);
+            sim.realIncomeChangeRate = currentNet.isZero()
+                ? new Decimal(0)
+                : sim.realNetChange.div(currentNet).times(100);
+        });
+    }
+
+    /**
+     * Estimates Macro Indicators (GDP by channel, price level adjusted GDP, poverty).
      */
     calculateMacroIndicators() {
-        // GDP Impact: Multiplier effect simulation
-        // Very basic: Net Injection * Multiplier
-        // Net Injection = Total UBI - Total Tax Increases (roughly the Shortfall/Bonds)
-
-        // If funded by taxes, multiplier is low (balanced budget multiplier ~1)
-        // If funded by bonds, multiplier is higher
-
-        // This is a placeholder for the advanced logic in Phase 2
-        const injection = this.results.shortfall.div(500000000000000); // Ratio to GDP (550T)
-        this.results.gdpImpact = injection.times(0.8).toNumber(); // 0.8 multiplier assumption
-
-        // Poverty Rate: Heuristic based on low-income gains
-        const lowIncomeGain = this.households
-            .filter(h => h.incomeLevel === 'low')
-            .reduce((sum, h) => sum + h.simulationResults.netChange.toNumber(), 0);
-
-        if (lowIncomeGain > 0) {
-            this.results.povertyRateChange = -2.0; // Placeholder: improves by 2%
-        } else {
-            this.results.povertyRateChange = 0.5; // Worsens
-        }
+        // GDP Impact: BI spending (by recipients' MPC) minus the demand withdrawn by each funding source
+        const macro = this.macroModel.estimate(this.households, hh => this.getWeight(hh), this.results);
+        this.results.macro = macro;
+        this.results.gdpImpact = macro.gdpImpact;
+
+        // The multiplier gives the real output effect; nominal GDP also carries the price level change
+        const priceChange = this.results.priceLevel ? this.results.priceLevel.total : 0;
+        this.results.nominalGdpImpact = ((1 + this.results.gdpImpact / 100) * (1 + priceChange) - 1) * 100;
+
+        // Relative Poverty: before and after reform from the weighted household distribution
+        // Post-reform disposable income = Pre-reform disposable income + Net change
+        const weightOf = hh => this.getWeight(hh);
+        const before = calculatePovertyIndicators(this.households,
+            hh => hh.simulationResults.disposableIncome.toNumber(), weightOf);
+        const after = calculatePovertyIndicators(this.households,
+            hh => hh.simulationResults.disposableIncome.plus(hh.simulationResults.netChange).toNumber(), weightOf);
+
+        this.results.poverty = { before, after };
+        this.results.povertyRateChange = after.povertyRate - before.povertyRate;
+    }
+
+    /**
+     * Runs the same households and funding settings under every registered benefit design.
+     * @param {EconomyParameters} params
+     * @param {Array<Household>} households
+     * @returns {Array} - [{ id, label, grossCost, netCost, shortfall, households: [{ id, label, netChange }] }]
+     */
+    static compareDesigns(params, households) {
+        return Object.values(BENEFIT_DESIGNS).map(design => {
+            const designHouseholds = households.map(hh => hh.clone());
+            const engine = new SimulationEngine(params.clone({ benefitDesign: design.id }), designHouseholds);
+            const results = engine.run();
+
+            return {
+                id: design.id,
+                label: design.label,
+                grossCost: results.totalAnnualCost,
+                netCost: results.netCost,
+                shortfall: results.shortfall,
+                households: designHouseholds.map(hh => ({
+                    id: hh.id,
+                    label: hh.label,
+                    netChange: hh.simulationResults.netChange
+                }))
+            };
+        });
     }
 }
@@ -0,0 +1,150 @@
+/**
+ * funding_solver.js
+ * Finds a funding mix (income / consumption / corporate tax increases) that meets a budget target
+ * under per-tax rate caps, optionally minimising the number of households that lose out.
+ */
+
+class FundingSolver {
+    /**
+     * @param {EconomyParameters} params - Current settings (benefit, welfare replacement, bracket reforms are kept)
+     * @param {Array<Household>} households
+     */
+    constructor(params, households) {
+        this.params = params;
+        this.households = households.map(hh => hh.clone()); // Solver runs must not overwrite displayed results
+    }
+
+    /**
+     * Runs the static model for a rate combination.
+     * @param {Object} rates - { incomeTaxRateIncrease, consumptionTaxRateIncrease, corpTaxRateIncrease }
+     * @param {number} welfareReduction - Fixed welfare cut (JPY)
+     */
+    evaluate(rates, welfareReduction) {
+        const engine = new SimulationEngine(this.params.clone({ ...rates, welfareReduction }), this.households);
+        const results = engine.run();
+
+        const losers = engine.sumWeighted(hh => hh.simulationResults.netChange.lt(0) ? 1 : 0);
+        return {
+            shortfall: results.shortfall,
+            totalCost: results.totalAnnualCost,
+            losers: losers.toNumber(),
+            loserShare: losers.div(results.aggregates.households).toNumber()
+        };
+    }
+
+    /**
+     * Searches the rate grid for a funding mix meeting the target.
+     * The shortfall is linear in each rate, so the consumption tax rate needed for every
+     * (income, corporate) pair is solved directly and verified with a full model run.
+     *
+     * @param {Object} target - { type: 'zeroShortfall' | 'maxBondShare', maxBondShare: 0.0 - 1.0 }
+     * @param {Object} constraints - { maxIncomeTax, maxConsumptionTax, maxCorpTax, welfareReduction, step } (rates as 0.0 - 1.0)
+     * @param {Object} options - { minimiseLosers: boolean }
+     * @returns {Object} { feasible, rates, shortfall, bondShare (planned bonds and shortfall / cost), losers, loserShare, evaluated, message }
+     */
+    solve(target, constraints, options = {}) {
+        const step = constraints.step || 0.01;
+        const welfareReduction = constraints.welfareReduction !== undefined
+            ? constraints.welfareReduction
+            : this.params.welfareReduction;
+
+        // Base run (no tax increases) and revenue per step of each tax
+        const zero = { incomeTaxRateIncrease: 0, consumptionTaxRateIncrease: 0, corpTaxRateIncrease: 0 };
+        const base = this.evaluate(zero, welfareReduction);
+        const revenuePerStep = {};
+        Object.keys(zero).forEach(key => {
+            const probe = this.evaluate({ ...zero, [key]: step }, welfareReduction);
+            revenuePerStep[key] = base.shortfall.minus(probe.shortfall);
+        });
+        let evaluated = 4;
+
+        // Allowed shortfall: 0, or the bond-financed share of the cost less the bonds already planned
+        const plannedBonds = new Decimal(this.params.govBondIssue || 0);
+        const allowedShortfall = target.type === 'maxBondShare'
+            ? Decimal.max(0, base.totalCost.times(target.maxBondShare || 0).minus(plannedBonds))
+            : new Decimal(0);
+        const bondShareOf = (result) => plannedBonds.plus(Decimal.max(0, result.shortfall)).div(result.totalCost).toNumber();
+        if (target.type === 'maxBondShare' && plannedBonds.gt(base.totalCost.times(target.maxBondShare || 0))) {
+            return {
+                feasible: false,
+                evaluated,
+                message: `予定している国債発行だけで国債比率の上限 (${((target.maxBondShare || 0) * 100).toFixed(0)}%) を超えています。国債発行額を減らすか、上限を見直してください。`
+            };
+        }
+        const required = base.shortfall.minus(allowedShortfall);
+
+        const steps = (max) => Math.floor((max || 0) / step + 1e-9);
+        const candidates = [];
+        for (let i = 0; i <= steps(constraints.maxIncomeTax); i++) {
+            for (let k = 0; k <= steps(constraints.maxCorpTax); k++) {
+                const remaining = required
+                    .minus(revenuePerStep.incomeTaxRateIncrease.times(i))
+                    .minus(revenuePerStep.corpTaxRateIncrease.times(k));
+
+                let c = 0;
+                if (remaining.gt(0)) {
+                    if (revenuePerStep.consumptionTaxRateIncrease.lte(0)) continue;
+                    c = Math.ceil(remaining.div(revenuePerStep.consumptionTaxRateIncrease).toNumber() - 1e-9);
+                }
+                if (c > steps(constraints.maxConsumptionTax)) continue;
+
+                candidates.push({ i, c, k, points: i + c + k });
+            }
+        }
+
+        if (candidates.length === 0) {
+            return {
+                feasible: false,
+                evaluated,
+                message: '上限税率の範囲では目標を達成できません。上限を引き上げるか、福祉削減・目標を見直してください。'
+            };
+        }
+
+        const toRates = (cand) => ({
+            incomeTaxRateIncrease: Number((cand.i * step).toFixed(6)),
+            consumptionTaxRateIncrease: Number((cand.c * step).toFixed(6)),
+            corpTaxRateIncrease: Number((cand.k * step).toFixed(6))
+        });
+
+        // Rank: fewest losing households (optional), then smallest total rate increase
+        let best = null;
+        const ranked = candidates.sort((a, b) => a.points - b.points);
+        const pool = options.minimiseLosers ? ranked : ranked.slice(0, 1);
+        pool.forEach(cand => {
+            const result = this.evaluate(toRates(cand), welfareReduction);
+            evaluated++;
+            if (result.shortfall.gt(allowedShortfall.plus(1))) return; // Guard against non-linearities
+            if (target.type === 'maxBondShare' && bondShareOf(result) > (target.maxBondShare || 0) + 1e-9) return;
+            if (!best
+                || result.losers < best.result.losers - 1e-6
+                || (Math.abs(result.losers - best.result.losers) <= 1e-6 && cand.points < best.cand.points)) {
+                best = { cand, result };
+            }
+        });
+
+        if (!best) {
+            return { feasible: false, evaluated, message: '目標を満たす組み合わせを検証できませんでした。' };
+        }
+
+        return {
+            feasible: true,
+            rates: toRates(best.cand),
+            welfareReduction,
+            shortfall: best.result.shortfall,
+            bondShare: bondShareOf(best.result), // Planned bonds + shortfall
+            losers: best.result.losers,
+            loserShare: best.result.loserShare,
+            evaluated
+        };
+    }
+
+    /**
+     * Applies a solution to EconomyParameters.
+     */
+    static apply(params, solution) {
+        Object.assign(params, solution.rates);
+        params.welfareReduction = solution.welfareReduction;
+    }
+}
+
+window.FundingSolver = FundingSolver;
@@ -0,0 +1,187 @@
+/**
+ * funding_sources.js
+ * Registry of additional funding sources beyond the income, consumption and corporate taxes.
+ * Each source has a national tax base, a rate (params.fundingSourceRates[id]), a revenue estimate
+ * and a household incidence rule. SimulationEngine, the funding chart and the household tables
+ * pick up every registered source, so a new tax only needs an entry in FUNDING_SOURCES.
+ */
+
+/**
+ * Household net wealth as a multiple of annual income by income level (rough National Survey of Family Income,
+ * Consumption and Wealth profile). Elderly households hold about twice the multiple of working-age households.
+ */
+const NET_WEALTH_TO_INCOME = {
+    low: 1.5,
+    lower_mid: 2.5,
+    mid: 3.5,
+    upper_mid: 5.0,
+    high: 9.0
+};
+
+/**
+ * Share of household spending on energy (fuel, electricity, transport fuel) by income level.
+ * Energy is a larger share of low-income budgets, so carbon pricing is regressive before recycling.
+ */
+const ENERGY_SPENDING_SHARE = {
+    low: 0.09,
+    lower_mid: 0.08,
+    mid: 0.07,
+    upper_mid: 0.06,
+    high: 0.05
+};
+
+/**
+ * Estimated net wealth of a household (JPY, number).
+ */
+function householdNetWealth(household) {
+    const multiple = NET_WEALTH_TO_INCOME[household.incomeLevel] || NET_WEALTH_TO_INCOME.mid;
+    const elderlyFactor = household.elderly > 0 ? 2.0 : 1.0;
+    return household.annualIncome.toNumber() * multiple * elderlyFactor;
+}
+
+class FundingSource {
+    /**
+     * @param {string} id - Unique identifier, also the key in params.fundingSourceRates and fundingBreakdown
+     * @param {string} label - Display label
+     * @param {string} description - What is taxed and who bears it
+     * @param {number} base - National tax base before behavioural responses (JPY, or tonnes CO2 for carbon)
+     * @param {Object} rate - { max, step, unit, displayScale }: slider range in display units (rate * displayScale)
+     * @param {Function} revenue - (rate, base) => annual revenue after behavioural responses (JPY, number)
+     * @param {number} householdShare - Share of the revenue borne by domestic households (rest: firms, foreigners, government)
+     * @param {Function} exposure - (household, spending) => the household's share of the base (JPY, number);
+     *        the household-borne revenue is allocated in proportion to it
+     * @param {number} multiplier - GDP lost per yen of household spending cut by the tax (see macro_model.js)
+     * @param {string} color - Funding chart colour
+     */
+    constructor({ id, label, description, base, rate, revenue, householdShare, exposure, multiplier, color }) {
+        this.id = id;
+        this.label = label;
+        this.description = description;
+        this.base = base;
+        this.rate = rate;
+        this.revenue = revenue;
+        this.householdShare = householdShare;
+        this.exposure = exposure;
+        this.multiplier = multiplier;
+        this.color = color;
+    }
+
+    /**
+     * Label without the English name (charts, compact tables).
+     */
+    get shortLabel() {
+        return this.label.split(' (')[0];
+    }
+
+    /**
+     * Rate set in the parameters (0 when the source is not used).
+     */
+    getRate(params) {
+        return (params.fundingSourceRates && params.fundingSourceRates[this.id]) || 0;
+    }
+
+    /**
+     * Annual revenue (JPY, Decimal).
+     */
+    estimateRevenue(params) {
+        const rate = this.getRate(params);
+        return new Decimal(rate > 0 ? Math.max(0, this.revenue(rate, this.base)) : 0);
+    }
+
+    /**
+     * The household's share of the base (JPY, Decimal).
+     * @param {Decimal} spending - Household annual consumption (JPY)
+     */
+    householdExposure(household, spending) {
+        return new Decimal(Math.max(0, this.exposure(household, spending.toNumber())));
+    }
+
+    /**
+     * Burden on one household: the household-borne revenue allocated by exposure.
+     * @param {Decimal} revenue - Revenue of the source (JPY)
+     * @param {Decimal} exposure - householdExposure of the household
+     * @param {Decimal} totalExposure - Exposure summed over the represented population
+     * @returns {Decimal} JPY / year
+     */
+    householdBurden(revenue, exposure, totalExposure) {
+        if (totalExposure.lte(0)) return new Decimal(0);
+        return new Decimal(revenue).times(this.householdShare).times(exposure).div(totalExposure);
+    }
+}
+
+const FUNDING_SOURCES = [
+    new FundingSource({
+        id: 'net_wealth',
+        label: '純資産税 (Net Wealth Tax)',
+        description: '1億円を超える純資産に毎年課税。課税逃れ・資産流出により課税ベースは税率に応じて縮小します。',
+        base: 900000000000000, // ~900T of household net wealth above the exemption
+        rate: { max: 3, step: 0.1, unit: '%', displayScale: 100 },
+        // Avoidance and migration shrink the base by 15% per point of tax (at most 60%)
+        revenue: (rate, base) => base * rate * (1 - Math.min(0.6, 15 * rate)),
+        householdShare: 1.0,
+        exposure: (hh) => Math.max(0, householdNetWealth(hh) - 100000000),
+        multiplier: 0.6, // Largely paid out of saving
+        color: '#0EA5E9'
+    }),
+    new FundingSource({
+        id: 'land_value',
+        label: '土地価値税 (Land Value Tax)',
+        description: '土地の評価額に課税。土地は移動できないため課税ベースはほとんど縮小しません。',
+        base: 1200000000000000, // ~1,200T national land value
+        rate: { max: 2, step: 0.1, unit: '%', displayScale: 100 },
+        revenue: (rate, base) => base * rate,
+        householdShare: 0.6, // Households own ~60% of land by value (rest: corporations, government)
+        exposure: (hh) => householdNetWealth(hh) * 0.4, // Land is ~40% of household net wealth
+        multiplier: 0.8,
+        color: '#84CC16'
+    }),
+    new FundingSource({
+        id: 'carbon',
+        label: '炭素税 (Carbon Tax)',
+        description: 'CO2排出1トンあたりに課税。排出削減で課税ベースが縮小し、負担はエネルギー価格を通じて家計に転嫁されます。',
+        base: 1000000000, // ~1.0 billion t CO2 energy-related emissions
+        rate: { max: 20000, step: 500, unit: '円/t', displayScale: 1 },
+        // Emissions fall 2% per 1,000 JPY/t (at most 50%)
+        revenue: (rate, base) => base * rate * (1 - Math.min(0.5, 0.00002 * rate)),
+        householdShare: 0.7, // Rest borne by exporters' foreign customers and government
+        exposure: (hh, spending) => spending * (ENERGY_SPENDING_SHARE[hh.incomeLevel] || ENERGY_SPENDING_SHARE.mid),
+        multiplier: 1.0,
+        color: '#14B8A6'
+    }),
+    new FundingSource({
+        id: 'ftt',
+        label: '金融取引税 (Financial Transaction Tax)',
+        description: '株式・債券の売買代金に課税。取引量は税率に敏感に反応し、負担の多くは機関投資家と海外投資家が負います。',
+        base: 1500000000000000, // ~1,500T annual trading value of equities and bonds
+        rate: { max: 0.5, step: 0.01, unit: '%', displayScale: 100 },
+        // Trading volume falls 10% per 0.1pt of tax (at most 80%)
+        revenue: (rate, base) => base * rate * (1 - Math.min(0.8, 100 * rate)),
+        householdShare: 0.3, // Via household securities and pension funds
+        exposure: (hh) => hh.annualIncome.toNumber() * (CAPITAL_INCOME_SHARE[hh.incomeLevel] || CAPITAL_INCOME_SHARE.mid),
+        multiplier: 0.3,
+        color: '#6366F1'
+    }),
+    new FundingSource({
+        id: 'inheritance',
+        label: '相続税強化 (Inheritance Tax +)',
+        description: '課税遺産への税率上乗せ。負担は資産を遺す高齢世帯に帰着するものとします。',
+        base: 20000000000000, // ~20T of taxable estates per year (above the basic exemption)
+        rate: { max: 30, step: 1, unit: '%', displayScale: 100 },
+        // Lifetime gifts and planning shrink the base by 5% per 10pt (at most 50%)
+        revenue: (rate, base) => base * rate * (1 - Math.min(0.5, 0.5 * rate)),
+        householdShare: 1.0,
+        exposure: (hh) => hh.elderly > 0 ? Math.max(0, householdNetWealth(hh) - 36000000) : 0,
+        multiplier: 0.3, // Paid out of estates rather than current income
+        color: '#A855F7'
+    })
+];
+
+/**
+ * Look up a funding source by id.
+ */
+function getFundingSource(id) {
+    return FUNDING_SOURCES.find(source => source.id === id);
+}
+
+window.FUNDING_SOURCES = FUNDING_SOURCES;
+window.getFundingSource = getFundingSource;
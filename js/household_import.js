@@ -0,0 +1,225 @@
+/**
+ * household_import.js
+ * Builds Household instances from user-supplied CSV or JSON datasets, with schema validation
+ * and row-level error messages.
+ */
+
+/**
+ * Import schema. Fields without `required` fall back to their default.
+ * currentTax defaults to the tax schedule estimate used by generateHouseholdModels.
+ */
+const HOUSEHOLD_IMPORT_SCHEMA = [
+    { key: 'id', type: 'string', required: true, description: '一意のID' },
+    { key: 'label', type: 'string', description: '表示名 (省略時はID)' },
+    { key: 'type', type: 'string', default: 'custom', description: '世帯類型' },
+    { key: 'incomeLevel', type: 'string', default: 'mid', description: '所得階層 (low / lower_mid / mid / upper_mid / high)' },
+    { key: 'annualIncome', type: 'number', required: true, min: 0, description: '年収 (円)' },
+    { key: 'adults', type: 'integer', required: true, min: 1, description: '成人数' },
+    { key: 'children', type: 'integer', default: 0, min: 0, description: '子ども数 (18歳未満)' },
+    { key: 'elderly', type: 'integer', default: 0, min: 0, description: '成人のうち65歳以上の人数' },
+    { key: 'currentTax', type: 'number', min: 0, description: '現行の年間税負担 (円, 省略時は税制から推計)' },
+    { key: 'consumptionPropensity', type: 'number', required: true, min: 0, max: 1, description: '消費性向 (0-1)' },
+    { key: 'weight', type: 'number', default: 1, min: 0, description: '代表する世帯数' }
+];
+
+/**
+ * Splits CSV text into rows of fields (supports quoted fields, escaped quotes and CRLF).
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Converts CSV text into raw records keyed by header.
+ * @returns {Array} [{ row, record }] - row = line number in the file (header = 1)
+ */
+function csvToRecords(text) {
+    const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(h => h.trim());
+    const missing = HOUSEHOLD_IMPORT_SCHEMA.filter(f => f.required && !header.includes(f.key)).map(f => f.key);
+    if (missing.length > 0) {
+        throw new Error(`必須列がヘッダーにありません: ${missing.join(', ')}`);
+    }
+
+    return rows.slice(1)
+        .map((fields, i) => ({ row: i + 2, fields }))
+        .filter(({ fields }) => fields.some(f => f.trim() !== ''))
+        .map(({ row, fields }) => {
+            const record = {};
+            header.forEach((key, col) => { record[key] = fields[col] !== undefined ? fields[col].trim() : ''; });
+            return { row, record };
+        });
+}
+
+/**
+ * Converts JSON text (array of objects, or { households: [...] }) into raw records.
+ * @returns {Array} [{ row, record }] - row = 1-based index in the array
+ */
+function jsonToRecords(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.households;
+    if (!Array.isArray(list)) {
+        throw new Error('配列、または households 配列を持つオブジェクトが必要です');
+    }
+    return list.map((record, i) => ({ row: i + 1, record }));
+}
+
+/**
+ * Validates one raw record against the schema.
+ * @returns {Object} { values, errors } - errors: [{ row, field, message }]
+ */
+function validateHouseholdRecord(record, row) {
+    const values = {};
+    const errors = [];
+    const fail = (field, message) => errors.push({ row, field, message });
+
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        fail(null, 'オブジェクトである必要があります');
+        return { values, errors };
+    }
+
+    HOUSEHOLD_IMPORT_SCHEMA.forEach(field => {
+        const raw = record[field.key];
+        const isMissing = raw === undefined || raw === null || String(raw).trim() === '';
+
+        if (isMissing) {
+            if (field.required) fail(field.key, `${field.key} は必須です`);
+            else if (field.default !== undefined) values[field.key] = field.default;
+            return;
+        }
+
+        if (field.type === 'string') {
+            values[field.key] = String(raw).trim();
+            return;
+        }
+
+        const num = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, ''));
+        if (!Number.isFinite(num)) {
+            fail(field.key, `${field.key} は数値である必要があります (値: "${raw}")`);
+            return;
+        }
+        if (field.type === 'integer' && !Number.isInteger(num)) {
+            fail(field.key, `${field.key} は整数である必要があります (値: ${num})`);
+            return;
+        }
+        if (field.min !== undefined && num < field.min) {
+            fail(field.key, `${field.key} は ${field.min} 以上である必要があります (値: ${num})`);
+            return;
+        }
+        if (field.max !== undefined && num > field.max) {
+            fail(field.key, `${field.key} は ${field.max} 以下である必要があります (値: ${num})`);
+            return;
+        }
+        values[field.key] = num;
+    });
+
+    if (values.elderly !== undefined && values.adults !== undefined && values.elderly > values.adults) {
+        fail('elderly', `elderly (${values.elderly}) は adults (${values.adults}) 以下である必要があります`);
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Estimates current tax like generateHouseholdModels: direct taxes + consumption tax on spending.
+ */
+function estimateCurrentTax(values, params) {
+    const directTax = params.taxSchedule.calculate(values).total.toNumber();
+    const spending = (values.annualIncome - directTax) * values.consumptionPropensity;
+    return Math.round(directTax + spending * params.baseConsumptionTaxRate / (1 + params.baseConsumptionTaxRate));
+}
+
+/**
+ * Builds Household instances from a CSV or JSON dataset.
+ * Households are only returned when every row is valid.
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' | 'json'
+ * @param {EconomyParameters} params - Used to estimate currentTax when it is not supplied
+ * @returns {Object} { households: Array<Household>, errors: Array<{ row, field, message }> }
+ */
+function importHouseholds(text, format, params) {
+    let records;
+    try {
+        records = format === 'json' ? jsonToRecords(text) : csvToRecords(text);
+    } catch (e) {
+        return { households: [], errors: [{ row: null, field: null, message: `ファイルを解析できません: ${e.message}` }] };
+    }
+
+    if (records.length === 0) {
+        return { households: [], errors: [{ row: null, field: null, message: '世帯データが1行もありません' }] };
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+    const households = [];
+
+    records.forEach(({ row, record }) => {
+        const result = validateHouseholdRecord(record, row);
+        errors.push(...result.errors);
+        if (result.errors.length > 0) return;
+
+        const values = result.values;
+        if (seenIds.has(values.id)) {
+            errors.push({ row, field: 'id', message: `id "${values.id}" が重複しています` });
+            return;
+        }
+        seenIds.add(values.id);
+
+        households.push(new Household({
+            ...values,
+            label: values.label || values.id,
+            currentTax: values.currentTax !== undefined ? values.currentTax : estimateCurrentTax(values, params)
+        }));
+    });
+
+    return errors.length > 0 ? { households: [], errors } : { households, errors };
+}
+
+/**
+ * Formats an import error for display (e.g. '行 3 [annualIncome]: ...').
+ */
+function formatImportError(error) {
+    const location = error.row !== null ? `行 ${error.row}` : 'ファイル';
+    return `${location}${error.field ? ` [${error.field}]` : ''}: ${error.message}`;
+}
+
+window.HOUSEHOLD_IMPORT_SCHEMA = HOUSEHOLD_IMPORT_SCHEMA;
+window.importHouseholds = importHouseholds;
+window.formatImportError = formatImportError;
@@ -0,0 +1,66 @@
+/**
+ * indexation.js
+ * Rules for revising the BI amount over the timeline. Each rule turns the previous year's economy
+ * into a factor on the year-0 amounts (every age group moves together), so the amount paid in year t
+ * follows the prices, wages or output of year t - 1, as statutory indexation does.
+ * The rule is stored in EconomyParameters (params.indexation), so scenarios save and share it.
+ */
+
+/**
+ * Indexation rules.
+ * factor(state, params) returns the nominal amount relative to year 0, where state holds the previous year's
+ * { priceLevel, realWageIndex, nominalGdp, realGdp, populationIndex } (indices: year 0 = 1, GDP in trillion JPY;
+ * realGdp at the year-0 labour force, so population change does not count),
+ * the year-0 { baseNominalGdp, baseRealGdp } and baseAnnualCost (full BI cost at year-0 amounts, trillion JPY).
+ */
+const INDEXATION_RULES = [
+    {
+        id: 'nominal',
+        label: '名目固定 (Fixed nominal)',
+        description: '金額を据え置きます。物価が上がると実質価値は目減りします。',
+        factor: () => 1
+    },
+    {
+        id: 'cpi',
+        label: '物価スライド (CPI)',
+        description: '前年の物価上昇に合わせて改定し、実質価値を保ちます。',
+        factor: (state) => state.priceLevel
+    },
+    {
+        id: 'wage',
+        label: '賃金スライド (Wages)',
+        description: '前年の名目賃金に合わせて改定します。AIで賃金が上がると給付も増えます。',
+        factor: (state) => state.priceLevel * state.realWageIndex
+    },
+    {
+        id: 'gdp_share',
+        label: 'GDP比一定 (GDP share)',
+        description: '総支給額が名目GDPに占める割合を一定に保ちます。',
+        factor: (state) => state.nominalGdp / state.baseNominalGdp / state.populationIndex
+    },
+    {
+        id: 'productivity_dividend',
+        label: '生産性配当 (Productivity dividend)',
+        description: '物価スライドに加え、AIによる実質GDPの増加分の一定割合を給付の上乗せとして配分します。',
+        factor: (state, params) => {
+            const gain = Math.max(0, state.realGdp - state.baseRealGdp) * params.indexation.dividendShare;
+            return state.priceLevel * (1 + (state.baseAnnualCost > 0 ? gain / state.baseAnnualCost : 0));
+        }
+    }
+];
+
+function getIndexationRule(id) {
+    return INDEXATION_RULES.find(rule => rule.id === id) || INDEXATION_RULES[0];
+}
+
+/**
+ * Factor on the year-0 amounts under the parameters' rule (1 = unchanged).
+ * @param {Object} state - Previous year's economy (see INDEXATION_RULES)
+ */
+function indexationFactor(params, state) {
+    return getIndexationRule(params.indexation.rule).factor(state, params);
+}
+
+window.INDEXATION_RULES = INDEXATION_RULES;
+window.getIndexationRule = getIndexationRule;
+window.indexationFactor = indexationFactor;
@@ -0,0 +1,208 @@
+/**
+ * job_groups.js
+ * Occupational groups of the TimelineEngine labour market: the default four buckets, presets built on
+ * OECD / ILO-style exposure tables, and the checks the job-group editor runs before a simulation.
+ * Groups are plain config objects ({ id, label, share, aiExposure, displacementFactor, productivityFactor,
+ * plus the optional labour supply fields of LABOUR_SUPPLY_DEFAULTS }) so they save and share with the AI scenario;
+ * TimelineEngine turns them into JobGroup instances.
+ */
+
+/**
+ * Labour supply response of a group to the BI (used when a group config leaves a field out).
+ * relativeWage: annual earnings relative to the average worker.
+ * incomeEffect: earnings given up per yen of BI received (income effect; lottery studies find about 0.1).
+ * participationElasticity: % change in participation per % change in the net gain from working.
+ * hoursElasticity: % change in hours per % change in the net-of-tax marginal wage.
+ */
+const LABOUR_SUPPLY_DEFAULTS = {
+    relativeWage: 1,
+    incomeEffect: 0.1,
+    participationElasticity: 0.2,
+    hoursElasticity: 0.1
+};
+
+/**
+ * Default groups (based on the OECD/ILO AI exposure reports).
+ */
+const DEFAULT_JOB_GROUPS = [
+    // 1. High Skill / High Exposure (Knowledge Workers: Engineers, Law, Finance)
+    // High exposure but high complementarity (Productivity > Displacement)
+    {
+        id: 'high_skill',
+        label: '高度専門職 (知識労働)',
+        share: 0.25,
+        aiExposure: 0.8,
+        displacementFactor: 0.1, // Low displacement (augmentation)
+        productivityFactor: 0.8, // High productivity gain
+        relativeWage: 1.4,
+        incomeEffect: 0.05, // High earners respond little
+        participationElasticity: 0.1,
+        hoursElasticity: 0.1
+    },
+    // 2. Mid Skill / High Exposure (Clerical, Admin)
+    // High exposure and high substitution risk
+    {
+        id: 'mid_admin',
+        label: '中技能 (事務・管理)',
+        share: 0.35,
+        aiExposure: 0.7,
+        displacementFactor: 0.6, // High displacement
+        productivityFactor: 0.3,
+        relativeWage: 1.0,
+        incomeEffect: 0.1,
+        participationElasticity: 0.2,
+        hoursElasticity: 0.1
+    },
+    // 3. Low Skill / Low Exposure (Service, Manual, Care)
+    // Low exposure, low productivity gain, stable demand
+    {
+        id: 'service_care',
+        label: '対人サービス・ケア',
+        share: 0.25,
+        aiExposure: 0.2,
+        displacementFactor: 0.05,
+        productivityFactor: 0.1,
+        relativeWage: 0.7,
+        incomeEffect: 0.12, // Many part-time and second earners
+        participationElasticity: 0.3,
+        hoursElasticity: 0.15
+    },
+    // 4. Low Skill / Mid Exposure (Routine Manual/Sales)
+    // Moderate risk from robotics/AI kiosks
+    {
+        id: 'routine_manual',
+        label: '定型業務 (販売・軽作業)',
+        share: 0.15,
+        aiExposure: 0.4,
+        displacementFactor: 0.4,
+        productivityFactor: 0.2,
+        relativeWage: 0.75,
+        incomeEffect: 0.12,
+        participationElasticity: 0.3,
+        hoursElasticity: 0.15
+    }
+];
+
+/**
+ * Preset group tables for the editor.
+ */
+const JOB_GROUP_PRESETS = [
+    {
+        id: 'standard',
+        label: '標準 (4区分)',
+        groups: DEFAULT_JOB_GROUPS
+    },
+    {
+        // Shares: Labour Force Survey employment by major occupation group.
+        // Exposure: ILO generative-AI exposure scores mapped to the Japanese classification;
+        // displacement adds robotics / routine-task automation risk for manual occupations.
+        // Relative wages: Basic Survey on Wage Structure by occupation
+        id: 'occupation_major',
+        label: '職業大分類 (11区分, ILO生成AI曝露ベース)',
+        groups: [
+            { id: 'managers', label: '管理的職業', share: 0.02, aiExposure: 0.55, displacementFactor: 0.1, productivityFactor: 0.6,
+                relativeWage: 2.0, incomeEffect: 0.03, participationElasticity: 0.05, hoursElasticity: 0.05 },
+            { id: 'professional', label: '専門的・技術的職業', share: 0.19, aiExposure: 0.65, displacementFactor: 0.15, productivityFactor: 0.75,
+                relativeWage: 1.3, incomeEffect: 0.06, participationElasticity: 0.1, hoursElasticity: 0.1 },
+            { id: 'clerical', label: '事務', share: 0.21, aiExposure: 0.85, displacementFactor: 0.6, productivityFactor: 0.3,
+                relativeWage: 0.95, incomeEffect: 0.1, participationElasticity: 0.2, hoursElasticity: 0.1 },
+            { id: 'sales', label: '販売', share: 0.12, aiExposure: 0.45, displacementFactor: 0.35, productivityFactor: 0.25,
+                relativeWage: 0.9, incomeEffect: 0.1, participationElasticity: 0.2, hoursElasticity: 0.12 },
+            { id: 'service', label: 'サービス', share: 0.13, aiExposure: 0.2, displacementFactor: 0.1, productivityFactor: 0.15,
+                relativeWage: 0.65, incomeEffect: 0.12, participationElasticity: 0.3, hoursElasticity: 0.15 },
+            { id: 'security', label: '保安', share: 0.02, aiExposure: 0.15, displacementFactor: 0.05, productivityFactor: 0.1,
+                relativeWage: 1.0, incomeEffect: 0.08, participationElasticity: 0.1, hoursElasticity: 0.1 },
+            { id: 'agriculture', label: '農林漁業', share: 0.03, aiExposure: 0.15, displacementFactor: 0.2, productivityFactor: 0.2,
+                relativeWage: 0.6, incomeEffect: 0.1, participationElasticity: 0.2, hoursElasticity: 0.1 },
+            { id: 'production', label: '生産工程', share: 0.13, aiExposure: 0.35, displacementFactor: 0.45, productivityFactor: 0.25,
+                relativeWage: 0.85, incomeEffect: 0.1, participationElasticity: 0.2, hoursElasticity: 0.12 },
+            { id: 'transport', label: '輸送・機械運転', share: 0.03, aiExposure: 0.3, displacementFactor: 0.4, productivityFactor: 0.15,
+                relativeWage: 0.95, incomeEffect: 0.1, participationElasticity: 0.15, hoursElasticity: 0.12 },
+            { id: 'construction', label: '建設・採掘', share: 0.04, aiExposure: 0.1, displacementFactor: 0.1, productivityFactor: 0.1,
+                relativeWage: 1.0, incomeEffect: 0.1, participationElasticity: 0.15, hoursElasticity: 0.12 },
+            { id: 'logistics_cleaning', label: '運搬・清掃・包装等', share: 0.08, aiExposure: 0.25, displacementFactor: 0.35, productivityFactor: 0.1,
+                relativeWage: 0.6, incomeEffect: 0.12, participationElasticity: 0.3, hoursElasticity: 0.15 }
+        ]
+    },
+    {
+        // OECD Employment Outlook automation-risk bands (Japan: ~15% high risk, ~39% significant change)
+        id: 'oecd_automation',
+        label: 'OECD自動化リスク (3区分)',
+        groups: [
+            { id: 'high_risk', label: '自動化リスク高 (70%超)', share: 0.15, aiExposure: 0.9, displacementFactor: 0.7, productivityFactor: 0.1,
+                relativeWage: 0.75, incomeEffect: 0.12, participationElasticity: 0.3, hoursElasticity: 0.15 },
+            { id: 'significant_change', label: '大幅なタスク変化 (50-70%)', share: 0.39, aiExposure: 0.6, displacementFactor: 0.35, productivityFactor: 0.3,
+                relativeWage: 0.95, incomeEffect: 0.1, participationElasticity: 0.2, hoursElasticity: 0.12 },
+            { id: 'low_risk', label: '自動化リスク低 (50%未満)', share: 0.46, aiExposure: 0.4, displacementFactor: 0.05, productivityFactor: 0.55,
+                relativeWage: 1.2, incomeEffect: 0.07, participationElasticity: 0.1, hoursElasticity: 0.1 }
+        ]
+    }
+];
+
+function getJobGroupPreset(id) {
+    return JOB_GROUP_PRESETS.find(preset => preset.id === id);
+}
+
+/**
+ * Copies of group configs (presets must not be edited in place).
+ */
+function cloneJobGroups(groups) {
+    return groups.map(group => ({ ...group }));
+}
+
+/**
+ * Checks a group table.
+ * Shares need not sum to 1 (TimelineEngine weights by share / total share) but must be non-negative with a positive total.
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateJobGroups(groups) {
+    if (!Array.isArray(groups) || groups.length === 0) return ['職種グループが1つもありません'];
+
+    const errors = [];
+    const ids = new Set();
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    groups.forEach((group, index) => {
+        const name = group.label || group.id || `グループ${index + 1}`;
+        if (!group.id) errors.push(`${name}: IDがありません`);
+        else if (ids.has(group.id)) errors.push(`${name}: ID「${group.id}」が重複しています`);
+        ids.add(group.id);
+        if (!isNumber(group.share) || group.share < 0) errors.push(`${name}: シェアは0以上の数値にしてください`);
+        if (!isNumber(group.aiExposure) || group.aiExposure < 0 || group.aiExposure > 1) {
+            errors.push(`${name}: AI曝露度は0〜1の範囲にしてください`);
+        }
+        if (!isNumber(group.displacementFactor) || group.displacementFactor < 0
+            || !isNumber(group.productivityFactor) || group.productivityFactor < 0) {
+            errors.push(`${name}: 代替係数・生産性係数は0以上の数値にしてください`);
+        }
+        const labourSupply = { ...LABOUR_SUPPLY_DEFAULTS, ...group };
+        if (!isNumber(labourSupply.relativeWage) || labourSupply.relativeWage <= 0) {
+            errors.push(`${name}: 賃金水準は0より大きい数値にしてください`);
+        }
+        if (['incomeEffect', 'participationElasticity', 'hoursElasticity'].some(key => !isNumber(labourSupply[key]) || labourSupply[key] < 0)) {
+            errors.push(`${name}: 所得効果・弾力性は0以上の数値にしてください`);
+        }
+    });
+    if (errors.length === 0 && groups.every(group => group.share === 0)) {
+        errors.push('シェアの合計が0です');
+    }
+    return errors;
+}
+
+/**
+ * Scales shares to sum to 1 (groups with zero total share get equal shares).
+ */
+function rebalanceJobGroupShares(groups) {
+    const total = groups.reduce((sum, group) => sum + Math.max(0, group.share || 0), 0);
+    return groups.map(group => ({
+        ...group,
+        share: Number((total > 0 ? Math.max(0, group.share || 0) / total : 1 / groups.length).toFixed(4))
+    }));
+}
+
+window.LABOUR_SUPPLY_DEFAULTS = LABOUR_SUPPLY_DEFAULTS;
+window.DEFAULT_JOB_GROUPS = DEFAULT_JOB_GROUPS;
+window.JOB_GROUP_PRESETS = JOB_GROUP_PRESETS;
+window.getJobGroupPreset = getJobGroupPreset;
+window.cloneJobGroups = cloneJobGroups;
+window.validateJobGroups = validateJobGroups;
+window.rebalanceJobGroupShares = rebalanceJobGroupShares;
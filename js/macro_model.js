@@ -0,0 +1,137 @@
+/**
+ * macro_model.js
+ * GDP impact of the BI package by channel. Household channels use marginal propensities to consume
+ * taken from the household models (by income level); each funding source has its own multiplier.
+ * Additional funding sources (funding_sources.js) get one household channel each, with the multiplier
+ * of their registry entry.
+ */
+
+/**
+ * GDP channels. sign: +1 adds demand, -1 withdraws it.
+ * usesMpc: the amount is converted into household spending with the MPC of the households concerned
+ */
+const MACRO_CHANNELS = [
+    { id: 'transfer', label: 'BI給付による消費', sign: 1, usesMpc: true, multiplierKey: 'transferMultiplier' },
+    { id: 'bonds', label: '国債 (クラウディングアウト)', sign: -1, usesMpc: false, multiplierKey: 'bondMultiplier' },
+    { id: 'incomeTax', label: '所得税増税', sign: -1, usesMpc: true, multiplierKey: 'incomeTaxMultiplier' },
+    { id: 'consumptionTax', label: '消費税増税', sign: -1, usesMpc: true, multiplierKey: 'consumptionTaxMultiplier' },
+    { id: 'corporateTax', label: '法人税増税 (投資・賃金)', sign: -1, usesMpc: false, multiplierKey: 'corpTaxMultiplier' },
+    { id: 'welfareCuts', label: '福祉削減', sign: -1, usesMpc: true, multiplierKey: 'welfareCutMultiplier' }
+];
+
+class MacroModel {
+    /**
+     * @param {Object} multipliers - modelAssumptions multipliers keyed by MACRO_CHANNELS[].multiplierKey
+     *        (GDP per yen of household spending for MPC channels, per yen raised otherwise)
+     * @param {number} nominalGdp - Baseline nominal GDP (JPY)
+     */
+    constructor(multipliers, { nominalGdp = 550000000000000 } = {}) {
+        this.multipliers = multipliers;
+        this.nominalGdp = new Decimal(nominalGdp);
+    }
+
+    /**
+     * Marginal propensity to consume by income level: weighted mean of the household models' propensities.
+     * @returns {Object} { low: 0.95, ... }
+     */
+    static mpcByIncomeLevel(households, weightOf) {
+        const totals = {};
+        households.forEach(hh => {
+            const level = hh.incomeLevel;
+            if (!totals[level]) totals[level] = { weighted: 0, weight: 0 };
+            totals[level].weighted += hh.consumptionPropensity.toNumber() * weightOf(hh);
+            totals[level].weight += weightOf(hh);
+        });
+
+        const mpc = {};
+        Object.entries(totals).forEach(([level, t]) => {
+            mpc[level] = t.weight > 0 ? t.weighted / t.weight : 0;
+        });
+        return mpc;
+    }
+
+    /**
+     * MPC of the households bearing (or receiving) an amount: mean MPC weighted by weight * amount.
+     * Falls back to the household-weighted mean when nobody is affected.
+     * @param {Function} amountOf - (household) => Decimal amount per household
+     */
+    static effectiveMpc(households, weightOf, mpcOf, amountOf) {
+        let weighted = new Decimal(0);
+        let total = new Decimal(0);
+        households.forEach(hh => {
+            const amount = Decimal.max(0, amountOf(hh)).times(weightOf(hh));
+            weighted = weighted.plus(amount.times(mpcOf(hh)));
+            total = total.plus(amount);
+        });
+        if (total.gt(0)) return weighted.div(total).toNumber();
+
+        const weights = households.reduce((sum, hh) => sum + weightOf(hh), 0);
+        return weights > 0 ? households.reduce((sum, hh) => sum + mpcOf(hh) * weightOf(hh), 0) / weights : 0;
+    }
+
+    /**
+     * GDP impact by channel.
+     * @param {Array<Household>} households - With simulationResults filled in
+     * @param {Function} weightOf - (household) => number of real households represented
+     * @param {Object} results - SimulationEngine results (totalAnnualCost, fundingBreakdown, shortfall)
+     * @returns {Object} { channels: [{ id, label, amount, mpc, multiplier, gdpEffect, gdpImpact }], mpcByLevel, totalEffect, gdpImpact }
+     */
+    estimate(households, weightOf, results) {
+        const mpcByLevel = MacroModel.mpcByIncomeLevel(households, weightOf);
+        const mpcOf = (hh) => mpcByLevel[hh.incomeLevel] !== undefined ? mpcByLevel[hh.incomeLevel] : hh.consumptionPropensity.toNumber();
+        const mpcWeightedBy = (amountOf) => MacroModel.effectiveMpc(households, weightOf, mpcOf, amountOf);
+
+        const funding = results.fundingBreakdown;
+        const hasLostBenefits = households.some(hh => hh.simulationResults.lostBenefits.gt(0));
+        const basis = {
+            transfer: { amount: results.totalAnnualCost, mpc: () => mpcWeightedBy(hh => hh.simulationResults.biReceived) },
+            // Deficit finance = planned bond issue + any remaining shortfall
+            bonds: { amount: funding.bonds.plus(Decimal.max(0, results.shortfall)) },
+            incomeTax: { amount: funding.incomeTax, mpc: () => mpcWeightedBy(hh => hh.simulationResults.incomeTaxIncrease) },
+            consumptionTax: { amount: funding.consumptionTax, mpc: () => mpcWeightedBy(hh => hh.simulationResults.consumptionTaxIncrease) },
+            corporateTax: { amount: funding.corporateTax },
+            welfareCuts: {
+                amount: funding.welfareCuts,
+                mpc: () => mpcWeightedBy(hh => hasLostBenefits ? hh.simulationResults.lostBenefits : hh.simulationResults.currentBenefits)
+            }
+        };
+
+        // Active additional funding sources (the engine lists them in fundingBreakdown)
+        const sourceChannels = FUNDING_SOURCES.filter(source => funding[source.id] !== undefined).map(source => {
+            basis[source.id] = {
+                amount: funding[source.id],
+                mpc: () => mpcWeightedBy(hh => hh.simulationResults.fundingSourceBurdens[source.id] || new Decimal(0))
+            };
+            return { id: source.id, label: source.label, sign: -1, usesMpc: true, multiplier: source.multiplier };
+        });
+
+        let totalEffect = new Decimal(0);
+        const channels = [...MACRO_CHANNELS, ...sourceChannels].map(channel => {
+            const amount = new Decimal(basis[channel.id].amount);
+            const mpc = channel.usesMpc ? basis[channel.id].mpc() : 1;
+            const multiplier = channel.multiplierKey ? this.multipliers[channel.multiplierKey] : channel.multiplier;
+            const gdpEffect = amount.times(mpc).times(multiplier).times(channel.sign);
+            totalEffect = totalEffect.plus(gdpEffect);
+
+            return {
+                id: channel.id,
+                label: channel.label,
+                amount,
+                mpc,
+                multiplier,
+                gdpEffect,
+                gdpImpact: gdpEffect.div(this.nominalGdp).times(100).toNumber()
+            };
+        });
+
+        return {
+            channels,
+            mpcByLevel,
+            totalEffect,
+            gdpImpact: totalEffect.div(this.nominalGdp).times(100).toNumber()
+        };
+    }
+}
+
+window.MACRO_CHANNELS = MACRO_CHANNELS;
+window.MacroModel = MacroModel;
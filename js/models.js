@@ -3,8 +3,7 @@
  * Defines the data structures for the simulation.
  */
 
-// Using Decimal from the global scope (loaded via CDN)
-const Decimal = window.Decimal;
+// Decimal is a global: decimal.js from the CDN in the browser, cli/load_engines.js in Node
 
 /**
  * Represents a specific household type for micro-simulation.
@@ -18,10 +17,12 @@ class Household {
      * @param {number} annualIncome - Current annual income (JPY)
      * @param {number} adults - Number of adults (18+)
      * @param {number} children - Number of children (<18)
+     * @param {number} elderly - Number of adults aged 65+ (included in adults)
      * @param {number} currentTax - Estimated current annual tax burden (Income + Consumption + Residence)
      * @param {number} consumptionPropensity - Propensity to consume (0.0 - 1.0)
+     * @param {number} weight - Number of real households this model represents
      */
-    constructor({ id, label, type, incomeLevel, annualIncome, adults, children, currentTax, consumptionPropensity }) {
+    constructor({ id, label, type, incomeLevel, annualIncome, adults, children, elderly = 0, currentTax, consumptionPropensity, weight = 1 }) {
         this.id = id;
         this.label = label;
         this.type = type;
@@ -29,15 +30,27 @@ class Household {
         this.annualIncome = new Decimal(annualIncome);
         this.adults = adults;
         this.children = children;
+        this.elderly = elderly;
         this.currentTax = new Decimal(currentTax);
         this.consumptionPropensity = new Decimal(consumptionPropensity);
+        this.weight = weight;
 
         // Simulation results storage
         this.simulationResults = {
             biReceived: new Decimal(0),
+            disposableIncome: new Decimal(0), // Pre-reform disposable income (after direct tax, incl. benefits)
             newTax: new Decimal(0),
-            netChange: new Decimal(0),
-            realIncomeChangeRate: new Decimal(0)
+            incomeTaxIncrease: new Decimal(0),
+            consumptionTaxIncrease: new Decimal(0),
+            corporateTaxBurden: new Decimal(0),
+            fundingSourceBurden: new Decimal(0), // Additional funding sources, total (see funding_sources.js)
+            fundingSourceBurdens: {}, // Source id -> Decimal, active sources only
+            currentBenefits: new Decimal(0), // Existing welfare benefits before reform
+            lostBenefits: new Decimal(0), // Benefits of programmes replaced by the BI
+            netChange: new Decimal(0), // Nominal
+            realNetChange: new Decimal(0), // In baseline prices (demand-pull inflation removed)
+            realBiValue: new Decimal(0), // BI in baseline prices
+            realIncomeChangeRate: new Decimal(0) // % change of real net income
         };
     }
 
@@ -47,6 +60,45 @@ class Household {
     get totalMembers() {
         return this.adults + this.children;
     }
+
+    /**
+     * Create a copy of the household inputs with fresh simulation results.
+     */
+    clone() {
+        return new Household({
+            id: this.id,
+            label: this.label,
+            type: this.type,
+            incomeLevel: this.incomeLevel,
+            annualIncome: this.annualIncome,
+            adults: this.adults,
+            children: this.children,
+            elderly: this.elderly,
+            currentTax: this.currentTax,
+            consumptionPropensity: this.consumptionPropensity,
+            weight: this.weight
+        });
+    }
+
+    /**
+     * Get members split into benefit age groups.
+     */
+    get membersByAgeGroup() {
+        return {
+            child: this.children,
+            adult: this.adults - this.elderly,
+            elderly: this.elderly
+        };
+    }
+}
+
+/**
+ * Maps an age to a benefit age group: 'child' (<18), 'adult' (18-64) or 'elderly' (65+).
+ */
+function getAgeGroup(age) {
+    if (age < 18) return 'child';
+    if (age >= 65) return 'elderly';
+    return 'adult';
 }
 
 /**
@@ -55,63 +107,233 @@ class Household {
 class EconomyParameters {
     constructor() {
         // Basic Parameters
-        this.monthlyUBI = 70000; // JPY
+        this.monthlyUBI = 70000; // JPY, working-age adults (18-64)
+        this.monthlyUBIChild = 70000; // JPY, children (<18)
+        this.monthlyUBIElderly = 70000; // JPY, elderly (65+)
         this.targetPopulation = 126000000; // Total
         this.AdultRatio = 0.82; // Approx ratio of adults
+        this.ElderlyRatio = 0.29; // Approx ratio of elderly (65+), included in AdultRatio
+
+        // Benefit Design (see benefit_design.js)
+        this.benefitDesign = 'ubi'; // 'ubi' | 'nit' | 'means_tested' | 'partial'
+        this.benefitDesignOptions = {
+            nitTaperRate: 0.5, // NIT: benefit withdrawn per yen of income
+            meansTestStart: 2000000, // Means-tested: equivalised income where phase-out starts (JPY)
+            meansTestEnd: 4000000, // Means-tested: equivalised income where benefit reaches zero (JPY)
+            partialShare: 0.5 // Partial BI: share of the full amount paid
+        };
 
         // Funding Options (Tax Rates)
         // Base rates (approximate current effective rates for simplicity in MVP)
-        this.baseIncomeTaxRate = 0.10; // 10% average effective
+        this.baseIncomeTaxRate = 0.10; // 10% average effective (used for macro revenue rules of thumb)
         this.baseConsumptionTaxRate = 0.10; // 10%
         this.baseCorpTaxRate = 0.23; // 23%
 
+        // Progressive income tax schedule (brackets, deductions, resident tax)
+        this.taxSchedule = new TaxSchedule();
+
         // Increases (User inputs)
-        this.incomeTaxRateIncrease = 0.00;
+        this.incomeTaxRateIncrease = 0.00; // Applied to every bracket of taxSchedule
+        this.bracketRateIncreases = this.taxSchedule.brackets.map(() => 0.00); // Additional increase per bracket
         this.consumptionTaxRateIncrease = 0.00;
         this.corpTaxRateIncrease = 0.00;
 
+        // Corporate tax incidence (see corporate_tax.js)
+        this.corpTaxIncidence = {
+            householdShare: 0.8, // Share borne by domestic households (rest: foreign owners, retained earnings)
+            capitalWeight: 0.5, // Lower returns to shareholders
+            wageWeight: 0.3, // Lower wages
+            priceWeight: 0.2 // Higher prices
+        };
+
         // Funding amounts (JPY)
         this.govBondIssue = 0;
         this.welfareReduction = 0;
+        this.replacedWelfarePrograms = []; // Programme ids replaced by the BI (see welfare_programs.js)
+
+        // Additional funding sources: source id -> rate (see funding_sources.js; 0 = not used)
+        this.fundingSourceRates = Object.fromEntries(FUNDING_SOURCES.map(source => [source.id, 0]));
+
+        // Phased introduction for the timeline (see rollout.js); the default pays everyone in full from year 1
+        this.rollout = {
+            rampYears: 1, // Years to reach the full amount
+            groupStartYears: { child: 1, elderly: 1, adult: 1 }, // First year each age group is paid
+            taxSchedule: [] // [{ year, incomeTaxRateIncrease, ... }]; empty = the rates above from year 1
+        };
+
+        // Revision of the amounts over the timeline (see indexation.js)
+        this.indexation = {
+            rule: 'nominal', // 'nominal' | 'cpi' | 'wage' | 'gdp_share' | 'productivity_dividend'
+            dividendShare: 0.5 // productivity_dividend: share of the AI-driven real GDP gain paid out through the BI
+        };
+
+        // Population projection for the timeline (see demographics.js); the static model uses targetPopulation
+        this.demographics = {
+            projection: 'cohort', // 'cohort' (births, deaths, migration) | 'constant'
+            fertilityRate: 1.3, // Total fertility rate
+            mortalityImprovement: 0.01, // Annual decline of the death rates
+            netMigration: 164000 // Net immigrants per year (persons)
+        };
+
+        // Population weights: household id -> number of real households (overrides the calibrated default)
+        this.householdWeights = {};
+
+        // Revenue estimation
+        this.revenueMode = 'microdata'; // 'microdata' (household-level taxes) | 'ruleOfThumb' (macro multiples)
+        this.scaleToPopulation = true; // Gross weighted household totals up to targetPopulation
+
+        // Model assumptions (point estimates; uncertainty mode draws them from distributions, see uncertainty.js)
+        this.modelAssumptions = {
+            // Fiscal multipliers by channel (see macro_model.js)
+            transferMultiplier: 1.0, // GDP per yen of household spending out of the BI
+            bondMultiplier: 0.2, // GDP lost per yen of deficit finance (crowding out)
+            incomeTaxMultiplier: 1.0, // GDP lost per yen of household spending cut by income tax
+            consumptionTaxMultiplier: 1.1, // GDP lost per yen of household spending cut by consumption tax
+            corpTaxMultiplier: 0.4, // GDP lost per yen of corporate tax (investment and wages)
+            welfareCutMultiplier: 1.0, // GDP lost per yen of household spending cut by welfare cuts
+            consumptionTaxRevenuePerPoint: 2500000000000, // Rule of thumb: +1pt consumption tax (JPY)
+            incomeTaxRevenuePerPoint: 1000000000000, // Rule of thumb: +1pt on every income tax bracket (JPY)
+            corpTaxRevenuePerPoint: 650000000000, // +1pt corporate tax (JPY)
+            displacementScale: 1.0, // Multiplier on every job group's displacement factor
+            productivityScale: 1.0, // Multiplier on every job group's productivity factor
+            reinstatementBase: 0.4, // New jobs per displaced job before education investment
+            laborSupplyScale: 1.0, // Multiplier on every job group's labour supply response to the BI
+            entrepreneurshipEffect: 0.05, // Reinstatement gain per 100,000 JPY/month of real BI (retraining, start-ups)
+            consumptionTaxPassThrough: 1.0, // Share of a consumption tax increase passed on to prices
+            demandPullElasticity: 0.3, // Price rise per unit of net injection / GDP
+            okunCoefficient: 0.5, // Unemployment rate change (pt) per 1% of GDP demand shortfall (timeline rollout)
+            // Debt dynamics in the timeline (see public_finance.js)
+            effectiveInterestRate: 0.008, // Average coupon on the outstanding government debt
+            bondYield: 0.015, // Market yield on new government bonds at today's debt/GDP
+            yieldDebtSensitivity: 0.0003, // Yield rise per pt of debt/GDP above today's (3bp)
+            bondAverageMaturity: 9 // Average remaining maturity of government debt (years)
+        };
+    }
+
+    /**
+     * Builds parameters from plain data (e.g. a scenario file): unspecified fields keep their defaults,
+     * nested option objects are merged key by key. Only fields of the defaults are accepted, each with the
+     * default's type; open maps that are empty by default (householdWeights) take any key with a number.
+     * @param {Object} data - Fields of EconomyParameters (taxSchedule as TaxSchedule constructor options)
+     * @throws {Error} Unknown field or a value of the wrong type
+     */
+    static fromJSON(data = {}) {
+        const params = new EconomyParameters();
+        const typeOf = (value) => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        const isReserved = (key) => key === '__proto__' || key === 'constructor' || key === 'prototype';
+        const check = (name, value, fallback) => {
+            if (isReserved(name.split('.').pop())) throw new Error(`使用できない項目名です: ${name}`);
+            if (fallback === undefined) throw new Error(`不明なパラメータです: ${name}`);
+            if (typeOf(value) !== typeOf(fallback)) {
+                throw new Error(`パラメータ ${name} の型が正しくありません (${typeOf(fallback)} が必要です)`);
+            }
+        };
+
+        Object.entries(data).forEach(([key, value]) => {
+            const fallback = Object.prototype.hasOwnProperty.call(params, key) ? params[key] : undefined;
+            check(key, value, fallback);
+            if (key === 'taxSchedule') {
+                params.taxSchedule = new TaxSchedule(value);
+            } else if (typeOf(value) === 'object') {
+                const isOpenMap = Object.keys(fallback).length === 0;
+                Object.entries(value).forEach(([subKey, subValue]) => {
+                    const subFallback = isOpenMap ? 0 : Object.prototype.hasOwnProperty.call(fallback, subKey) ? fallback[subKey] : undefined;
+                    check(`${key}.${subKey}`, subValue, subFallback);
+                });
+                params[key] = { ...fallback, ...value };
+            } else {
+                params[key] = value;
+            }
+        });
+        if (!data.bracketRateIncreases) {
+            params.bracketRateIncreases = params.taxSchedule.brackets.map(() => 0.00);
+        }
+        return params;
+    }
+
+    /**
+     * Create an independent copy, optionally overriding fields.
+     * @param {Object} overrides - Fields to replace on the copy
+     */
+    clone(overrides = {}) {
+        const copy = Object.assign(new EconomyParameters(), JSON.parse(JSON.stringify(this)));
+        copy.taxSchedule = new TaxSchedule(this.taxSchedule);
+        return Object.assign(copy, overrides);
+    }
+
+    /**
+     * Monthly BI amount for a benefit age group.
+     * @param {string} ageGroup - 'child' | 'adult' | 'elderly'
+     */
+    getMonthlyBenefit(ageGroup) {
+        switch (ageGroup) {
+            case 'child': return this.monthlyUBIChild;
+            case 'elderly': return this.monthlyUBIElderly;
+            default: return this.monthlyUBI;
+        }
+    }
+
+    /**
+     * Target population split into benefit age groups.
+     */
+    getPopulationByAgeGroup() {
+        return {
+            child: Math.round(this.targetPopulation * (1 - this.AdultRatio)),
+            adult: Math.round(this.targetPopulation * (this.AdultRatio - this.ElderlyRatio)),
+            elderly: Math.round(this.targetPopulation * this.ElderlyRatio)
+        };
+    }
+
+    /**
+     * Monthly BI paid to a group of members, e.g. { child: 2, adult: 2, elderly: 0 } (JPY, Decimal).
+     */
+    calculateMonthlyBenefit(membersByAgeGroup) {
+        return Object.entries(membersByAgeGroup).reduce(
+            (sum, [group, count]) => sum.plus(new Decimal(this.getMonthlyBenefit(group)).times(count)),
+            new Decimal(0)
+        );
     }
 }
 
 /**
  * Generates the extended 32 household models.
+ * @param {EconomyParameters} params - Supplies the tax schedule and base consumption tax rate for currentTax
  */
-function generateHouseholdModels() {
+function generateHouseholdModels(params = new EconomyParameters()) {
     const models = [];
 
     // Definitions of base types
+    // households: number of real households of the type (approx. 2020 Census, scaled so the total matches
+    // 55.7M general households; three-generation and other households are spread across the types)
+    // levelShares: distribution over the income levels below (low -> high)
     const types = [
-        { id: 'single', label: '独身', adults: 1, children: 0 },
-        { id: 'couple', label: '夫婦', adults: 2, children: 0 },
-        { id: 'parent_1kid', label: 'ひとり親+子1', adults: 1, children: 1 },
-        { id: 'parent_2kids', label: 'ひとり親+子2', adults: 1, children: 2 },
-        { id: 'fam_1kid', label: '標準+子1', adults: 2, children: 1 },
-        { id: 'fam_2kids', label: '標準+子2', adults: 2, children: 2 },
-        { id: 'fam_3kids', label: '標準+子3', adults: 2, children: 3 },
-        { id: 'elderly_s', label: '高齢単身', adults: 1, children: 0, isElderly: true },
-        { id: 'elderly_c', label: '高齢夫婦', adults: 2, children: 0, isElderly: true },
+        { id: 'single', label: '独身', adults: 1, children: 0, households: 18400000, levelShares: [0.30, 0.25, 0.20, 0.15, 0.10] },
+        { id: 'couple', label: '夫婦', adults: 2, children: 0, households: 6200000, levelShares: [0.10, 0.15, 0.20, 0.25, 0.30] },
+        { id: 'parent_1kid', label: 'ひとり親+子1', adults: 1, children: 1, households: 1000000, levelShares: [0.50, 0.25, 0.15, 0.07, 0.03] },
+        { id: 'parent_2kids', label: 'ひとり親+子2', adults: 1, children: 2, households: 600000, levelShares: [0.50, 0.25, 0.15, 0.07, 0.03] },
+        { id: 'fam_1kid', label: '標準+子1', adults: 2, children: 1, households: 5300000, levelShares: [0.08, 0.17, 0.25, 0.27, 0.23] },
+        { id: 'fam_2kids', label: '標準+子2', adults: 2, children: 2, households: 5500000, levelShares: [0.08, 0.17, 0.25, 0.27, 0.23] },
+        { id: 'fam_3kids', label: '標準+子3', adults: 2, children: 3, households: 1900000, levelShares: [0.08, 0.17, 0.25, 0.27, 0.23] },
+        { id: 'elderly_s', label: '高齢単身', adults: 1, children: 0, isElderly: true, households: 8500000, levelShares: [0.40, 0.25, 0.15, 0.12, 0.08] },
+        { id: 'elderly_c', label: '高齢夫婦', adults: 2, children: 0, isElderly: true, households: 8300000, levelShares: [0.25, 0.25, 0.20, 0.17, 0.13] },
     ];
 
     // Income Levels configurations
     // Base Income multipliers for types (simplified)
-    // taxRate: approximate effective tax rate
     // propensity: consumption propensity
     const levels = [
-        { id: 'low', label: '低所得', info: 'Bottom 20%', incomeBase: 2000000, taxRate: 0.05, propensity: 0.95 },
-        { id: 'lower_mid', label: '中低所得', info: '20-40%', incomeBase: 3500000, taxRate: 0.10, propensity: 0.85 },
-        { id: 'mid', label: '中所得', info: '40-60%', incomeBase: 5000000, taxRate: 0.15, propensity: 0.75 },
-        { id: 'upper_mid', label: '中高所得', info: '60-80%', incomeBase: 7500000, taxRate: 0.20, propensity: 0.60 },
-        { id: 'high', label: '高所得', info: 'Top 20%', incomeBase: 12000000, taxRate: 0.25, propensity: 0.45 }
+        { id: 'low', label: '低所得', info: 'Bottom 20%', incomeBase: 2000000, propensity: 0.95 },
+        { id: 'lower_mid', label: '中低所得', info: '20-40%', incomeBase: 3500000, propensity: 0.85 },
+        { id: 'mid', label: '中所得', info: '40-60%', incomeBase: 5000000, propensity: 0.75 },
+        { id: 'upper_mid', label: '中高所得', info: '60-80%', incomeBase: 7500000, propensity: 0.60 },
+        { id: 'high', label: '高所得', info: 'Top 20%', incomeBase: 12000000, propensity: 0.45 }
     ];
 
     // Generate combinations
     // We select specific representative combinations to reach approx 30-40 patterns relevant for analysis
 
     types.forEach(type => {
-        levels.forEach(level => {
+        levels.forEach((level, levelIndex) => {
             // Adjust income based on household size (sqrt equivalence scale approximation for base income generation)
             // This represents the "equivalent standard of living" income for that level
             const equivalence = Math.sqrt(type.adults + type.children * 0.5);
@@ -125,8 +347,13 @@ function generateHouseholdModels() {
             // Rounding
             annualIncome = Math.round(annualIncome / 10000) * 10000;
 
-            // Approximate current tax (income + consumption + others)
-            const currentTax = Math.round(annualIncome * level.taxRate);
+            // Current tax = direct taxes from the schedule (income + resident) + consumption tax on spending
+            const directTax = params.taxSchedule
+                .calculate({ annualIncome, adults: type.adults, children: type.children })
+                .total.toNumber();
+            const spending = (annualIncome - directTax) * level.propensity;
+            const consumptionTax = spending * params.baseConsumptionTaxRate / (1 + params.baseConsumptionTaxRate);
+            const currentTax = Math.round(directTax + consumptionTax);
 
             models.push(new Household({
                 id: `${type.id}_${level.id}`,
@@ -136,8 +363,10 @@ function generateHouseholdModels() {
                 annualIncome: annualIncome,
                 adults: type.adults,
                 children: type.children,
+                elderly: type.isElderly ? type.adults : 0,
                 currentTax: currentTax,
-                consumptionPropensity: level.propensity
+                consumptionPropensity: level.propensity,
+                weight: Math.round(type.households * type.levelShares[levelIndex])
             }));
         });
     });
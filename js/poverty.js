@@ -0,0 +1,68 @@
+/**
+ * poverty.js
+ * Relative poverty indicators computed from the weighted household distribution.
+ * Poverty line = 50% of the median equivalised disposable income (OECD definition, persons-weighted).
+ */
+
+/**
+ * Weighted median of values.
+ * @param {Array<number>} values
+ * @param {Array<number>} weights
+ */
+function weightedMedian(values, weights) {
+    const pairs = values.map((v, i) => ({ v, w: weights[i] }))
+        .filter(p => p.w > 0)
+        .sort((a, b) => a.v - b.v);
+    const total = pairs.reduce((sum, p) => sum + p.w, 0);
+    if (total === 0) return 0;
+
+    let cumulative = 0;
+    for (const pair of pairs) {
+        cumulative += pair.w;
+        if (cumulative >= total / 2) return pair.v;
+    }
+    return pairs[pairs.length - 1].v;
+}
+
+/**
+ * Calculates relative poverty indicators.
+ * @param {Array<Household>} households - Each household represents `weight` real households
+ * @param {Function} disposableIncomeOf - (household) => annual disposable income (JPY, number)
+ * @param {Function} weightOf - (household) => number of real households represented
+ * @returns {Object} {
+ *   povertyLine: equivalised JPY / year,
+ *   povertyRate: % of persons below the line,
+ *   povertyGap: mean shortfall from the line over all persons (% of the line),
+ *   childPovertyRate: % of children below the line
+ * }
+ */
+function calculatePovertyIndicators(households, disposableIncomeOf, weightOf = hh => hh.weight) {
+    const equivalised = households.map(hh => disposableIncomeOf(hh) / Math.sqrt(hh.totalMembers));
+    const personWeights = households.map(hh => weightOf(hh) * hh.totalMembers);
+    const childWeights = households.map(hh => weightOf(hh) * hh.children);
+
+    const povertyLine = weightedMedian(equivalised, personWeights) * 0.5;
+
+    let persons = 0, poorPersons = 0, gapSum = 0;
+    let children = 0, poorChildren = 0;
+    households.forEach((hh, i) => {
+        const isPoor = equivalised[i] < povertyLine;
+        persons += personWeights[i];
+        children += childWeights[i];
+        if (isPoor) {
+            poorPersons += personWeights[i];
+            poorChildren += childWeights[i];
+            gapSum += personWeights[i] * (povertyLine - equivalised[i]) / povertyLine;
+        }
+    });
+
+    return {
+        povertyLine: povertyLine,
+        povertyRate: persons > 0 ? poorPersons / persons * 100 : 0,
+        povertyGap: persons > 0 ? gapSum / persons * 100 : 0,
+        childPovertyRate: children > 0 ? poorChildren / children * 100 : 0
+    };
+}
+
+window.weightedMedian = weightedMedian;
+window.calculatePovertyIndicators = calculatePovertyIndicators;
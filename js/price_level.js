@@ -0,0 +1,61 @@
+/**
+ * price_level.js
+ * Price level response to the reform: consumption tax pass-through and demand-pull inflation
+ * from the net injection of purchasing power into households.
+ */
+
+class PriceLevelModel {
+    /**
+     * @param {number} consumptionTaxPassThrough - Share of a consumption tax increase passed on to prices (0.0 - 1.0)
+     * @param {number} demandPullElasticity - Price rise per unit of net injection / GDP (0.3 = injection of 1% of GDP -> +0.3%)
+     * @param {number} nominalGdp - Baseline nominal GDP (JPY)
+     */
+    constructor({
+        consumptionTaxPassThrough = 1.0,
+        demandPullElasticity = 0.3,
+        nominalGdp = 550000000000000
+    } = {}) {
+        this.consumptionTaxPassThrough = consumptionTaxPassThrough;
+        this.demandPullElasticity = demandPullElasticity;
+        this.nominalGdp = new Decimal(nominalGdp);
+    }
+
+    /**
+     * One-off price level shift from a consumption tax increase (ratio, e.g. 0.09 = +9%).
+     */
+    consumptionTaxEffect(params) {
+        return this.consumptionTaxPassThrough * params.consumptionTaxRateIncrease / (1 + params.baseConsumptionTaxRate);
+    }
+
+    /**
+     * Demand-pull price rise from a net injection into households (ratio).
+     * @param {Decimal} netInjection - Net transfer to households (JPY / year, negative = withdrawal)
+     */
+    demandPullEffect(netInjection) {
+        return new Decimal(netInjection).div(this.nominalGdp).times(this.demandPullElasticity).toNumber();
+    }
+
+    /**
+     * Price level change of the reform (ratios).
+     * @returns {Object} { consumptionTax, demandPull, total } - total compounds both channels
+     */
+    estimate(params, netInjection) {
+        const consumptionTax = this.consumptionTaxEffect(params);
+        const demandPull = this.demandPullEffect(netInjection);
+        return {
+            consumptionTax,
+            demandPull,
+            total: (1 + consumptionTax) * (1 + demandPull) - 1
+        };
+    }
+
+    /**
+     * Converts a nominal amount into baseline prices (JPY, Decimal).
+     * @param {number} priceChange - Price level change as a ratio
+     */
+    static deflate(amount, priceChange) {
+        return new Decimal(amount).div(1 + priceChange);
+    }
+}
+
+window.PriceLevelModel = PriceLevelModel;
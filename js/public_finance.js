@@ -0,0 +1,99 @@
+/**
+ * public_finance.js
+ * Government debt dynamics for the timeline: interest on the outstanding stock at an effective rate,
+ * refinancing of maturing bonds at the market yield, a yield response to debt/GDP and r - g reporting.
+ * Interest on the debt added by the reform feeds back into the deficit.
+ * The timeline's budget flows are in year-0 prices, so yields carry no inflation premium;
+ * inflation still lowers debt/GDP through nominal GDP growth (the g in r - g).
+ */
+
+class PublicDebtModel {
+    /**
+     * @param {number} initialDebt - Outstanding debt in year 0 (trillion JPY)
+     * @param {number} initialNominalGdp - Nominal GDP in year 0 (trillion JPY)
+     * @param {number} effectiveInterestRate - Average coupon on the outstanding stock in year 0 (0.008 = 0.8%)
+     * @param {number} bondYield - Market yield on new bonds at the year-0 debt/GDP ratio
+     * @param {number} yieldDebtSensitivity - Yield rise per percentage point of debt/GDP above year 0 (0.0003 = 3bp)
+     * @param {number} averageMaturity - Average remaining maturity (years); 1 / maturity of the stock is refinanced each year
+     */
+    constructor({
+        initialDebt = 1200,
+        initialNominalGdp = 550,
+        effectiveInterestRate = 0.008,
+        bondYield = 0.015,
+        yieldDebtSensitivity = 0.0003,
+        averageMaturity = 9
+    } = {}) {
+        this.bondYield = bondYield;
+        this.yieldDebtSensitivity = yieldDebtSensitivity;
+        this.rolloverShare = 1 / Math.max(1, averageMaturity);
+        this.initialDebtToGdp = new Decimal(initialDebt).div(initialNominalGdp);
+
+        // Current state (trillion JPY, Decimal)
+        this.debt = new Decimal(initialDebt);
+        this.nominalGdp = new Decimal(initialNominalGdp);
+        this.effectiveRate = new Decimal(effectiveInterestRate);
+
+        // Counterfactual without the reform: the year-0 stock rolls over at the unchanged yield.
+        // Only interest above this path is charged to the reform
+        this.baselineDebt = new Decimal(initialDebt);
+        this.baselineRate = new Decimal(effectiveInterestRate);
+    }
+
+    /**
+     * Market yield on new bonds: base yield + debt/GDP premium (ratio, floored at 0).
+     * @param {Decimal} debtToGdp - Debt / nominal GDP at the start of the year
+     */
+    marketYield(debtToGdp) {
+        const premium = debtToGdp.minus(this.initialDebtToGdp).times(100).times(this.yieldDebtSensitivity);
+        return Decimal.max(0, premium.plus(this.bondYield));
+    }
+
+    /**
+     * Advances one year.
+     * @param {Decimal} primaryDeficit - Reform deficit before interest (trillion JPY)
+     * @param {Decimal} nominalGdp - Nominal GDP this year (trillion JPY)
+     * @returns {Object} Trillion JPY / ratios (Decimal): { marketYield, effectiveRate, refinanced, interest,
+     *          interestCost: interest above the no-reform path, deficit: primaryDeficit + interestCost,
+     *          debt, debtToGdp, nominalGrowth, rMinusG: effective rate - nominal growth }
+     */
+    step(primaryDeficit, nominalGdp) {
+        const marketYield = this.marketYield(this.debt.div(this.nominalGdp));
+
+        // Maturing bonds are refinanced at the market yield; the rest keeps its coupon
+        const refinanced = this.debt.times(this.rolloverShare);
+        const interest = this.debt.minus(refinanced).times(this.effectiveRate).plus(refinanced.times(marketYield));
+        const rolledRate = this.debt.gt(0) ? interest.div(this.debt) : marketYield;
+
+        const baselineYield = new Decimal(this.bondYield);
+        this.baselineRate = this.baselineRate.times(1 - this.rolloverShare).plus(baselineYield.times(this.rolloverShare));
+        const baselineInterest = this.baselineDebt.times(this.baselineRate);
+
+        const interestCost = interest.minus(baselineInterest);
+        const deficit = new Decimal(primaryDeficit).plus(interestCost);
+        const previousDebt = this.debt;
+        const nominalGrowth = new Decimal(nominalGdp).div(this.nominalGdp).minus(1);
+
+        // New borrowing carries the market yield from next year
+        this.debt = previousDebt.plus(deficit);
+        this.effectiveRate = deficit.gt(0)
+            ? previousDebt.times(rolledRate).plus(deficit.times(marketYield)).div(this.debt)
+            : rolledRate; // Repayments retire bonds in proportion
+        this.nominalGdp = new Decimal(nominalGdp);
+
+        return {
+            marketYield,
+            effectiveRate: rolledRate,
+            refinanced,
+            interest,
+            interestCost,
+            deficit,
+            debt: this.debt,
+            debtToGdp: this.debt.div(this.nominalGdp),
+            nominalGrowth,
+            rMinusG: rolledRate.minus(nominalGrowth)
+        };
+    }
+}
+
+window.PublicDebtModel = PublicDebtModel;
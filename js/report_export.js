@@ -0,0 +1,176 @@
+/**
+ * report_export.js
+ * Result tables for export (CSV / JSON) and the printable report.
+ * Tables are arrays of flat row objects; money is in JPY unless the column name says otherwise.
+ */
+
+/**
+ * CSV of flat row objects. Columns are the union of every row's keys (first-seen order).
+ */
+function rowsToCSV(rows) {
+    if (rows.length === 0) return '';
+    const header = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [header.map(escapeCSV).join(','), ...rows.map(row => header.map(key => escapeCSV(row[key] ?? '')).join(','))].join('\n') + '\n';
+}
+
+/**
+ * CSV field: quoted (inner quotes doubled) when it holds a quote, comma or line break.
+ */
+function escapeCSV(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-household results of a SimulationEngine run (the detailed table).
+ * Burdens of additional funding sources become one `<id>Burden` column per active source.
+ * @param {Array<Household>} households - With simulationResults filled in
+ * @param {Function} weightOf - (household) => number of real households represented
+ */
+function householdResultsTable(households, weightOf) {
+    return households.map(hh => {
+        const row = {
+            id: hh.id,
+            label: hh.label,
+            type: hh.type,
+            incomeLevel: hh.incomeLevel,
+            weight: weightOf(hh),
+            adults: hh.adults,
+            children: hh.children,
+            elderly: hh.elderly,
+            annualIncome: hh.annualIncome.toNumber(),
+            currentTax: hh.currentTax.toNumber()
+        };
+        const { fundingSourceBurdens, ...results } = hh.simulationResults;
+        Object.entries(results).forEach(([key, value]) => {
+            row[key] = value instanceof Decimal ? value.toNumber() : value;
+        });
+        Object.entries(fundingSourceBurdens).forEach(([id, burden]) => {
+            row[`${id}Burden`] = burden.toNumber();
+        });
+        return row;
+    });
+}
+
+/**
+ * Funding breakdown of a SimulationEngine run, one row per source plus the shortfall.
+ */
+function fundingBreakdownTable(results) {
+    const labels = {
+        consumptionTax: '消費税増収',
+        incomeTax: '所得税増収',
+        corporateTax: '法人税増収',
+        welfareCuts: '福祉削減',
+        bonds: '国債発行 (計画)'
+    };
+    const total = results.totalAnnualCost;
+    const rows = Object.entries(results.fundingBreakdown).map(([source, amount]) => ({
+        source,
+        label: labels[source] || (getFundingSource(source) ? getFundingSource(source).label : source),
+        amount: amount.toNumber(),
+        amountTrillion: amount.div(1000000000000).toNumber(),
+        shareOfCost: total.gt(0) ? amount.div(total).toNumber() : 0
+    }));
+    rows.push({
+        source: 'shortfall',
+        label: '財源不足 (追加の国債)',
+        amount: results.shortfall.toNumber(),
+        amountTrillion: results.shortfall.div(1000000000000).toNumber(),
+        shareOfCost: total.gt(0) ? results.shortfall.div(total).toNumber() : 0
+    });
+    return rows;
+}
+
+/**
+ * TimelineEngine results, one row per year with job-group columns flattened.
+ */
+function timelineTable(timeline) {
+    return timeline.map(({ groups = [], ...point }) => ({
+        ...point,
+        ...Object.fromEntries(groups.flatMap(g => [
+            [`${g.id}_employment`, g.employment],
+            [`${g.id}_wage`, g.wage],
+            [`${g.id}_laborSupply`, g.laborSupply]
+        ]))
+    }));
+}
+
+/**
+ * AgentSimulationEnvironment history (monthly steps).
+ */
+function agentHistoryTable(history) {
+    return history.map(step => ({ ...step }));
+}
+
+/**
+ * Standalone printable report (HTML document).
+ * @param {Object} report - { title, generatedAt, sections: [{ title, note, html }] }
+ *        html is trusted markup built by the app (tables, chart images, the logic explanation)
+ */
+function buildReportHTML(report) {
+    const sections = report.sections.map(section => `
+        <section>
+            <h2>${escapeHTML(section.title)}</h2>
+            ${section.note ? `<p class="note">${escapeHTML(section.note)}</p>` : ''}
+            ${section.html}
+        </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(report.title)}</title>
+<style>
+    body { font-family: 'Noto Sans JP', sans-serif; color: #111827; margin: 24px; font-size: 12px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 15px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; margin-top: 28px; }
+    h4 { font-size: 13px; margin: 16px 0 4px; }
+    .note, .meta { color: #6b7280; font-size: 11px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+    th, td { border: 1px solid #e5e7eb; padding: 3px 6px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { background: #f9fafb; }
+    img { max-width: 100%; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    .charts figure { margin: 0; }
+    .charts figcaption { font-weight: bold; margin-bottom: 4px; }
+    .logic .font-mono { font-family: monospace; background: #f3f4f6; padding: 8px; border-radius: 4px; }
+    .logic .text-xs { font-size: 11px; color: #4b5563; }
+    section { page-break-inside: auto; }
+    table, figure { page-break-inside: avoid; }
+    @media print { body { margin: 0; } .no-print { display: none; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">印刷 / PDFに保存</button>
+<h1>${escapeHTML(report.title)}</h1>
+<p class="meta">作成日時: ${escapeHTML(report.generatedAt)} / 本レポートは試算モデルによる推計であり、将来の経済状況を保証するものではありません。</p>
+${sections}
+</body>
+</html>`;
+}
+
+/**
+ * HTML table from rows (columns: [{ key, label, format }]).
+ */
+function rowsToHTMLTable(rows, columns) {
+    const head = columns.map(col => `<th>${escapeHTML(col.label)}</th>`).join('');
+    const body = rows.map(row => `<tr>${columns.map(col => {
+        const value = row[col.key];
+        return `<td>${escapeHTML(col.format && value !== undefined && value !== null ? col.format(value) : (value ?? ''))}</td>`;
+    }).join('')}</tr>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+window.rowsToCSV = rowsToCSV;
+window.escapeCSV = escapeCSV;
+window.householdResultsTable = householdResultsTable;
+window.fundingBreakdownTable = fundingBreakdownTable;
+window.timelineTable = timelineTable;
+window.agentHistoryTable = agentHistoryTable;
+window.buildReportHTML = buildReportHTML;
+window.rowsToHTMLTable = rowsToHTMLTable;
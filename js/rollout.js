@@ -0,0 +1,159 @@
+/**
+ * rollout.js
+ * Phased introduction of the BI for the timeline: the amount ramps up over several years, age groups
+ * start in different years (e.g. children first) and the funding tax rates change on a schedule.
+ * The plan is stored in EconomyParameters (params.rollout), so scenarios save and share it.
+ */
+
+/**
+ * Funding tax rates a rollout step can set (EconomyParameters fields).
+ */
+const ROLLOUT_TAX_KEYS = ['incomeTaxRateIncrease', 'consumptionTaxRateIncrease', 'corpTaxRateIncrease'];
+
+/**
+ * Benefit age groups in the usual order of introduction.
+ */
+const ROLLOUT_AGE_GROUPS = [
+    { id: 'child', label: '子ども' },
+    { id: 'elderly', label: '高齢者' },
+    { id: 'adult', label: '現役世代' }
+];
+
+class RolloutPlan {
+    /**
+     * @param {number} rampYears - Years for each age group to reach the full amount (linear; 1 = full amount at once)
+     * @param {Object} groupStartYears - { child, elderly, adult }: first year each group is paid (default 1)
+     * @param {Array} taxSchedule - [{ year, incomeTaxRateIncrease, consumptionTaxRateIncrease, corpTaxRateIncrease }]:
+     *        rates in force from `year` until the next step (omitted rates carry over, no increase before the first step).
+     *        Empty: the parameters' rates apply from year 1.
+     */
+    constructor({ rampYears = 1, groupStartYears = {}, taxSchedule = [] } = {}) {
+        this.rampYears = Math.max(1, rampYears);
+        this.groupStartYears = { child: 1, elderly: 1, adult: 1, ...groupStartYears };
+        this.taxSchedule = [...taxSchedule].sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Share of the full amount paid to an age group in a year (0 before its start year).
+     */
+    benefitShare(ageGroup, year) {
+        const yearsPaid = year - this.groupStartYears[ageGroup] + 1;
+        return Math.min(1, Math.max(0, yearsPaid / this.rampYears));
+    }
+
+    /**
+     * Monthly amount paid to an age group in a year (JPY).
+     */
+    monthlyBenefit(params, ageGroup, year) {
+        return params.getMonthlyBenefit(ageGroup) * this.benefitShare(ageGroup, year);
+    }
+
+    /**
+     * Annual BI cost in a year (trillion JPY, Decimal) over a population by age group.
+     * @param {Object} population - { child, adult, elderly } (default: the target population)
+     */
+    annualCost(params, year, population = params.getPopulationByAgeGroup()) {
+        return Object.entries(population).reduce(
+            (sum, [ageGroup, count]) => sum.plus(new Decimal(this.monthlyBenefit(params, ageGroup, year)).times(count)),
+            new Decimal(0)
+        ).times(12).div(1000000000000);
+    }
+
+    /**
+     * Funding tax rates in force in a year.
+     * @returns {Object} { incomeTaxRateIncrease, consumptionTaxRateIncrease, corpTaxRateIncrease }
+     */
+    ratesInYear(params, year) {
+        if (this.taxSchedule.length === 0) {
+            return Object.fromEntries(ROLLOUT_TAX_KEYS.map(key => [key, params[key]]));
+        }
+        const rates = Object.fromEntries(ROLLOUT_TAX_KEYS.map(key => [key, 0]));
+        this.taxSchedule.filter(step => step.year <= year).forEach(step => {
+            ROLLOUT_TAX_KEYS.forEach(key => {
+                if (step[key] !== undefined) rates[key] = step[key];
+            });
+        });
+        return rates;
+    }
+
+    /**
+     * Annual revenue of the funding package at given rates (trillion JPY by tax, Decimal).
+     * The timeline has no household models, so the income, consumption and corporate taxes use the
+     * per-point rules of thumb (modelAssumptions); additional funding sources keep the parameters' rates.
+     * @returns {Object} { incomeTax, consumptionTax, corporateTax, fundingSources, total,
+     *          fundingSourcesMultiplier: revenue-weighted GDP multiplier of the additional sources }
+     */
+    static taxRevenue(params, rates) {
+        const assumptions = params.modelAssumptions;
+        const trillion = (perPoint, rate) => new Decimal(perPoint).times(rate * 100).div(1000000000000);
+        const sources = FUNDING_SOURCES.map(source => ({ source, revenue: source.estimateRevenue(params).div(1000000000000) }));
+        const fundingSources = sources.reduce((sum, { revenue }) => sum.plus(revenue), new Decimal(0));
+        const revenue = {
+            incomeTax: trillion(assumptions.incomeTaxRevenuePerPoint, rates.incomeTaxRateIncrease),
+            consumptionTax: trillion(assumptions.consumptionTaxRevenuePerPoint, rates.consumptionTaxRateIncrease),
+            corporateTax: trillion(assumptions.corpTaxRevenuePerPoint, rates.corpTaxRateIncrease),
+            fundingSources,
+            fundingSourcesMultiplier: fundingSources.gt(0)
+                ? sources.reduce((sum, { source, revenue }) => sum.plus(revenue.times(source.multiplier)), new Decimal(0))
+                    .div(fundingSources).toNumber()
+                : 0
+        };
+        revenue.total = revenue.incomeTax.plus(revenue.consumptionTax).plus(revenue.corporateTax).plus(revenue.fundingSources);
+        return revenue;
+    }
+}
+
+/**
+ * Preset plans. build(params) returns a params.rollout object; tax schedules follow the parameters' rates.
+ */
+const ROLLOUT_PRESETS = [
+    {
+        id: 'overnight',
+        label: '一斉導入 (1年目から全額)',
+        build: () => ({ rampYears: 1, groupStartYears: { child: 1, elderly: 1, adult: 1 }, taxSchedule: [] })
+    },
+    {
+        id: 'ramp',
+        label: '全員に5年かけて増額',
+        build: (params) => ({
+            rampYears: 5,
+            groupStartYears: { child: 1, elderly: 1, adult: 1 },
+            taxSchedule: phasedTaxSchedule(params, [1, 2, 3, 4, 5], (year) => year / 5)
+        })
+    },
+    {
+        id: 'children_first',
+        label: '子ども → 高齢者 → 全員',
+        build: (params) => {
+            const plan = { rampYears: 1, groupStartYears: { child: 1, elderly: 3, adult: 5 }, taxSchedule: [] };
+            // Taxes rise with the cost of the groups already paid
+            const rollout = new RolloutPlan(plan);
+            const fullCost = rollout.annualCost(params, Infinity);
+            plan.taxSchedule = phasedTaxSchedule(params, [1, 3, 5],
+                (year) => fullCost.gt(0) ? rollout.annualCost(params, year).div(fullCost).toNumber() : 1);
+            return plan;
+        }
+    }
+];
+
+/**
+ * Tax schedule raising the parameters' rates in steps.
+ * @param {Array<number>} years - Step years
+ * @param {Function} shareOf - (year) => share of the full rates in force from that year
+ */
+function phasedTaxSchedule(params, years, shareOf) {
+    return years.map(year => ({
+        year,
+        ...Object.fromEntries(ROLLOUT_TAX_KEYS.map(key => [key, Number((params[key] * shareOf(year)).toFixed(4))]))
+    }));
+}
+
+function getRolloutPreset(id) {
+    return ROLLOUT_PRESETS.find(preset => preset.id === id);
+}
+
+window.ROLLOUT_TAX_KEYS = ROLLOUT_TAX_KEYS;
+window.ROLLOUT_AGE_GROUPS = ROLLOUT_AGE_GROUPS;
+window.RolloutPlan = RolloutPlan;
+window.ROLLOUT_PRESETS = ROLLOUT_PRESETS;
+window.getRolloutPreset = getRolloutPreset;
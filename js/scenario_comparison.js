@@ -0,0 +1,114 @@
+/**
+ * scenario_comparison.js
+ * Side-by-side comparison of pinned scenarios. Each pinned scenario is run once on the same household set
+ * (static model and timeline) and kept as a snapshot, so later edits to the inputs do not change it.
+ */
+
+const MAX_PINNED_SCENARIOS = 4;
+const COMPARISON_COLORS = ['#2563EB', '#F59E0B', '#10B981', '#EF4444'];
+
+/**
+ * KPIs shown in the comparison table.
+ * value: (snapshot) => number, format: (number) => string
+ */
+const COMPARISON_KPIS = [
+    { key: 'totalCost', label: '年間総コスト (兆円)', value: (s) => s.results.totalAnnualCost.div(1000000000000).toNumber(), format: (v) => v.toFixed(1) },
+    { key: 'shortfall', label: '財源不足額 (兆円)', value: (s) => s.results.shortfall.div(1000000000000).toNumber(), format: (v) => v.toFixed(1) },
+    { key: 'gdpImpact', label: '実質GDP影響 (%)', value: (s) => s.results.gdpImpact, format: (v) => v.toFixed(2) },
+    { key: 'priceLevel', label: '物価上昇率 (%)', value: (s) => s.results.priceLevel.total * 100, format: (v) => v.toFixed(2) },
+    { key: 'povertyRate', label: '改革後の貧困率 (%)', value: (s) => s.results.poverty.after.povertyRate, format: (v) => v.toFixed(1) },
+    { key: 'childPovertyRate', label: '子どもの貧困率 (%)', value: (s) => s.results.poverty.after.childPovertyRate, format: (v) => v.toFixed(1) },
+    { key: 'finalDebt', label: '最終年の債務残高 (兆円)', value: (s) => s.timeline[s.timeline.length - 1].debt, format: (v) => v.toFixed(0) },
+    { key: 'finalUnemployment', label: '最終年の失業率 (%)', value: (s) => s.timeline[s.timeline.length - 1].unemployment, format: (v) => v.toFixed(1) }
+];
+
+/**
+ * Runs a scenario on a copy of the household set.
+ * @param {Object} scenario - See createScenario (scenario_store.js)
+ * @param {Array<Household>} baseHouseholds - Household set shared by every pinned scenario
+ * @returns {Object} { name, scenario, results, households: [{ id, label, realNetChange }], timeline }
+ */
+function createScenarioSnapshot(scenario, baseHouseholds) {
+    const { name, params, aiScenario } = restoreScenario(scenario);
+    const snapshotHouseholds = baseHouseholds.map(hh => hh.clone());
+    const results = new SimulationEngine(params, snapshotHouseholds).run();
+
+    return {
+        name,
+        scenario,
+        results,
+        households: snapshotHouseholds.map(hh => ({
+            id: hh.id,
+            label: hh.label,
+            realNetChange: hh.simulationResults.realNetChange
+        })),
+        timeline: new TimelineEngine(aiScenario.jobGroups).runSimulation(params, aiScenario)
+    };
+}
+
+class ScenarioComparison {
+    constructor(maxPinned = MAX_PINNED_SCENARIOS) {
+        this.maxPinned = maxPinned;
+        this.snapshots = [];
+    }
+
+    /**
+     * Pins a snapshot (a snapshot of the same name is replaced).
+     * @returns {Object} { pinned: boolean, message }
+     */
+    pin(snapshot) {
+        const index = this.snapshots.findIndex(s => s.name === snapshot.name);
+        if (index >= 0) {
+            this.snapshots[index] = snapshot;
+            return { pinned: true, message: `「${snapshot.name}」を更新しました` };
+        }
+        if (this.snapshots.length >= this.maxPinned) {
+            return { pinned: false, message: `比較できるのは${this.maxPinned}件までです。不要なシナリオを外してください` };
+        }
+        this.snapshots.push(snapshot);
+        return { pinned: true, message: `「${snapshot.name}」を比較に追加しました` };
+    }
+
+    unpin(name) {
+        this.snapshots = this.snapshots.filter(s => s.name !== name);
+    }
+
+    get(name) {
+        return this.snapshots.find(s => s.name === name) || null;
+    }
+
+    /**
+     * KPI table: one row per KPI, one value per pinned scenario.
+     * @returns {Array} [{ key, label, values: [number], formatted: [string] }]
+     */
+    kpiRows() {
+        return COMPARISON_KPIS.map(kpi => {
+            const values = this.snapshots.map(kpi.value);
+            return { key: kpi.key, label: kpi.label, values, formatted: values.map(kpi.format) };
+        });
+    }
+
+    /**
+     * Household-level difference of the current results against a pinned scenario (JPY, real terms).
+     * @param {Array<Household>} currentHouseholds - With simulationResults of the current run
+     * @returns {Object} household id -> Decimal difference (missing when the household is not in the snapshot)
+     */
+    householdDiff(currentHouseholds, baselineName) {
+        const baseline = this.get(baselineName);
+        if (!baseline) return {};
+
+        const baselineById = Object.fromEntries(baseline.households.map(h => [h.id, h.realNetChange]));
+        const diff = {};
+        currentHouseholds.forEach(hh => {
+            if (baselineById[hh.id] !== undefined) {
+                diff[hh.id] = hh.simulationResults.realNetChange.minus(baselineById[hh.id]);
+            }
+        });
+        return diff;
+    }
+}
+
+window.MAX_PINNED_SCENARIOS = MAX_PINNED_SCENARIOS;
+window.COMPARISON_COLORS = COMPARISON_COLORS;
+window.createScenarioSnapshot = createScenarioSnapshot;
+window.ScenarioComparison = ScenarioComparison;
@@ -0,0 +1,190 @@
+/**
+ * scenario_store.js
+ * Named scenarios: every input of a run (EconomyParameters, AI scenario, agent settings) as plain data,
+ * persisted in localStorage and encoded in a shareable URL hash. The same format is read by the CLI.
+ */
+
+const SCENARIO_FORMAT_VERSION = 1;
+const SCENARIO_STORAGE_KEY = 'bi-simulator.scenarios';
+const SCENARIO_HASH_PREFIX = '#scenario=';
+
+// jobGroups is omitted for the default table (DEFAULT_JOB_GROUPS)
+const DEFAULT_AI_SCENARIO = { pace: 'base', investment: 50, years: 10 };
+const DEFAULT_AGENT_SETTINGS = { households: 200, personsPerHousehold: 2, years: 10, seed: 1 };
+
+/**
+ * EconomyParameters fields that differ from the defaults (nested option objects key by key),
+ * so shared URLs stay short. EconomyParameters.fromJSON restores the full set.
+ */
+function compactParameters(params) {
+    const defaults = JSON.parse(JSON.stringify(new EconomyParameters()));
+    const current = JSON.parse(JSON.stringify(params));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+    const compact = {};
+    Object.entries(current).forEach(([key, value]) => {
+        if (same(value, defaults[key])) return;
+        if (key !== 'taxSchedule' && isPlainObject(value) && isPlainObject(defaults[key])) {
+            compact[key] = {};
+            Object.entries(value).forEach(([subKey, subValue]) => {
+                if (!same(subValue, defaults[key][subKey])) compact[key][subKey] = subValue;
+            });
+            // Keys removed from the current object (e.g. householdWeights overrides) need the whole object
+            if (Object.keys(defaults[key]).some(subKey => !(subKey in value))) compact[key] = value;
+        } else {
+            compact[key] = value;
+        }
+    });
+    return compact;
+}
+
+/**
+ * AI scenario without the job-group table when it is the default one (keeps shared URLs short).
+ */
+function compactAIScenario(aiScenario) {
+    const { jobGroups, ...rest } = aiScenario;
+    if (!jobGroups || JSON.stringify(jobGroups) === JSON.stringify(DEFAULT_JOB_GROUPS)) return rest;
+    return { ...rest, jobGroups: cloneJobGroups(jobGroups) };
+}
+
+/**
+ * Captures the current inputs as a scenario.
+ * @param {string} name
+ * @param {EconomyParameters} params
+ * @param {Object} aiScenario - { pace, investment, years, jobGroups }
+ * @param {Object} agents - { households, personsPerHousehold, years, seed }
+ */
+function createScenario(name, params, aiScenario, agents) {
+    return {
+        version: SCENARIO_FORMAT_VERSION,
+        name,
+        savedAt: new Date().toISOString(),
+        parameters: compactParameters(params),
+        aiScenario: compactAIScenario(aiScenario),
+        agents: { ...agents }
+    };
+}
+
+/**
+ * Checks the AI scenario and agent settings of a restored scenario (ranges of the input forms).
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateScenarioInputs(aiScenario, agents) {
+    const errors = [];
+    const isInteger = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+    if (!['slow', 'base', 'fast'].includes(aiScenario.pace)) {
+        errors.push(`AI普及ペースは slow / base / fast のいずれかにしてください (${aiScenario.pace})`);
+    }
+    if (typeof aiScenario.investment !== 'number' || !(aiScenario.investment >= 0 && aiScenario.investment <= 100)) {
+        errors.push('教育・再訓練投資は0〜100の数値にしてください');
+    }
+    if (!isInteger(aiScenario.years, 1, TIMELINE_MAX_YEARS)) {
+        errors.push(`推移シミュレーションの期間は1〜${TIMELINE_MAX_YEARS}年の整数にしてください`);
+    }
+    if (aiScenario.jobGroups !== undefined) {
+        errors.push(...validateJobGroups(aiScenario.jobGroups));
+    }
+    if (!isInteger(agents.households, 1) || !isInteger(agents.personsPerHousehold, 1) || !isInteger(agents.years, 1)) {
+        errors.push('エージェント設定の世帯数・世帯人数・年数は1以上の整数にしてください');
+    }
+    if (agents.seed !== null && !Number.isFinite(agents.seed)) {
+        errors.push('エージェント設定のシードは数値か null にしてください');
+    }
+    return errors;
+}
+
+/**
+ * Turns a scenario back into engine inputs (missing sections fall back to the defaults).
+ * Every section is checked before anything is returned, so a bad scenario changes no state.
+ * @returns {Object} { name, params: EconomyParameters, aiScenario, agents }
+ * @throws {Error} Malformed scenario or invalid inputs
+ */
+function restoreScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+        throw new Error('シナリオの形式が正しくありません');
+    }
+    if (scenario.version && scenario.version > SCENARIO_FORMAT_VERSION) {
+        throw new Error(`新しい形式のシナリオです (version ${scenario.version})。ページを更新してください`);
+    }
+    const params = EconomyParameters.fromJSON(scenario.parameters || {});
+    const aiScenario = { ...DEFAULT_AI_SCENARIO, ...scenario.aiScenario };
+    const agents = { ...DEFAULT_AGENT_SETTINGS, ...scenario.agents };
+    const errors = validateScenarioInputs(aiScenario, agents);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return { name: scenario.name || '', params, aiScenario, agents };
+}
+
+/**
+ * URL hash of a scenario: '#scenario=' + base64url(UTF-8 JSON).
+ */
+function encodeScenarioHash(scenario) {
+    const { savedAt, ...shared } = scenario;
+    const bytes = new TextEncoder().encode(JSON.stringify(shared));
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return SCENARIO_HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Reads a scenario from a URL hash.
+ * @returns {Object|null} The scenario, or null when the hash holds none
+ */
+function decodeScenarioHash(hash) {
+    if (!hash || !hash.startsWith(SCENARIO_HASH_PREFIX)) return null;
+    try {
+        const base64 = hash.slice(SCENARIO_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('共有URLのシナリオを読み取れません (URLが途中で切れている可能性があります)');
+    }
+}
+
+/**
+ * Named scenarios in localStorage (one JSON array under SCENARIO_STORAGE_KEY).
+ */
+class ScenarioStore {
+    /**
+     * @param {Storage} storage - localStorage by default
+     */
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * @returns {Array} Saved scenarios, newest first
+     */
+    list() {
+        try {
+            const scenarios = JSON.parse(this.storage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+            return Array.isArray(scenarios) ? scenarios : [];
+        } catch (e) {
+            return []; // Corrupt entry: start over rather than block the page
+        }
+    }
+
+    get(name) {
+        return this.list().find(scenario => scenario.name === name) || null;
+    }
+
+    /**
+     * Saves a scenario, replacing any scenario of the same name.
+     */
+    save(scenario) {
+        const scenarios = [scenario, ...this.list().filter(item => item.name !== scenario.name)];
+        this.storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    }
+
+    remove(name) {
+        const scenarios = this.list().filter(item => item.name !== name);
+        this.storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    }
+}
+
+window.DEFAULT_AI_SCENARIO = DEFAULT_AI_SCENARIO;
+window.DEFAULT_AGENT_SETTINGS = DEFAULT_AGENT_SETTINGS;
+window.createScenario = createScenario;
+window.restoreScenario = restoreScenario;
+window.encodeScenarioHash = encodeScenarioHash;
+window.decodeScenarioHash = decodeScenarioHash;
+window.ScenarioStore = ScenarioStore;
@@ -0,0 +1,328 @@
+/**
+ * sensitivity.js
+ * One-at-a-time sensitivity analysis: each numeric EconomyParameters field and each JobGroup factor
+ * is moved down and up by a range while everything else stays at its current value.
+ */
+
+/**
+ * Headline metrics reported for every perturbation.
+ */
+const SENSITIVITY_METRICS = [
+    { key: 'shortfall', label: '財源不足額 (兆円)', format: (v) => (v / 1000000000000).toFixed(1) },
+    { key: 'gdpImpact', label: '実質GDP影響 (%)', format: (v) => v.toFixed(2) },
+    { key: 'finalDebt', label: '最終年の債務残高 (兆円)', format: (v) => v.toFixed(0) },
+    { key: 'povertyRate', label: '改革後の貧困率 (%)', format: (v) => v.toFixed(1) }
+];
+
+/**
+ * Display labels of EconomyParameters fields (paths not listed fall back to the path itself).
+ */
+const SENSITIVITY_LABELS = {
+    monthlyUBI: 'BI月額 (大人)',
+    monthlyUBIChild: 'BI月額 (子ども)',
+    monthlyUBIElderly: 'BI月額 (高齢者)',
+    targetPopulation: '対象人口',
+    AdultRatio: '成人比率',
+    ElderlyRatio: '高齢者比率',
+    incomeTaxRateIncrease: '所得税率上乗せ',
+    consumptionTaxRateIncrease: '消費税率上乗せ',
+    corpTaxRateIncrease: '法人税率上乗せ',
+    govBondIssue: '国債発行額',
+    welfareReduction: '福祉削減額',
+    'benefitDesignOptions.nitTaperRate': 'NIT 逓減率',
+    'benefitDesignOptions.meansTestStart': '所得制限 開始所得',
+    'benefitDesignOptions.meansTestEnd': '所得制限 終了所得',
+    'benefitDesignOptions.partialShare': '部分BI 支給割合',
+    'corpTaxIncidence.householdShare': '法人税の家計転嫁割合',
+    'corpTaxIncidence.capitalWeight': '法人税帰着: 資本所得',
+    'corpTaxIncidence.wageWeight': '法人税帰着: 賃金',
+    'corpTaxIncidence.priceWeight': '法人税帰着: 価格',
+    ...Object.fromEntries(FUNDING_SOURCES.map(source => [`fundingSourceRates.${source.id}`, `税率: ${source.shortLabel}`])),
+    'indexation.dividendShare': '生産性配当の配分割合',
+    'demographics.fertilityRate': '合計特殊出生率',
+    'demographics.mortalityImprovement': '死亡率の年改善率',
+    'demographics.netMigration': '純移民数 (年)',
+    'modelAssumptions.transferMultiplier': '乗数: BI給付による消費',
+    'modelAssumptions.bondMultiplier': '乗数: 国債',
+    'modelAssumptions.incomeTaxMultiplier': '乗数: 所得税',
+    'modelAssumptions.consumptionTaxMultiplier': '乗数: 消費税',
+    'modelAssumptions.corpTaxMultiplier': '乗数: 法人税',
+    'modelAssumptions.welfareCutMultiplier': '乗数: 福祉削減',
+    'modelAssumptions.consumptionTaxRevenuePerPoint': '消費税1%の税収 (経験則)',
+    'modelAssumptions.incomeTaxRevenuePerPoint': '所得税1%の税収 (経験則)',
+    'modelAssumptions.corpTaxRevenuePerPoint': '法人税1%の税収',
+    'modelAssumptions.displacementScale': '雇用代替係数の倍率',
+    'modelAssumptions.productivityScale': '生産性係数の倍率',
+    'modelAssumptions.reinstatementBase': '雇用再創出率の基準値',
+    'modelAssumptions.laborSupplyScale': '労働供給反応の倍率',
+    'modelAssumptions.entrepreneurshipEffect': 'BIによる再訓練・起業効果',
+    'modelAssumptions.consumptionTaxPassThrough': '消費税の価格転嫁率',
+    'modelAssumptions.demandPullElasticity': '需要インフレ弾性',
+    'modelAssumptions.okunCoefficient': 'オークン係数 (段階導入)',
+    'modelAssumptions.effectiveInterestRate': '国債の実効金利 (初年)',
+    'modelAssumptions.bondYield': '新発国債利回り',
+    'modelAssumptions.yieldDebtSensitivity': '利回りの債務感応度',
+    'modelAssumptions.bondAverageMaturity': '国債の平均残存期間'
+};
+
+/**
+ * Job group fields perturbed by the analysis, with the range each may take.
+ */
+const JOB_GROUP_SENSITIVITY_FIELDS = [
+    { field: 'aiExposure', label: 'AI曝露度', min: 0, max: 1 },
+    { field: 'displacementFactor', label: '代替係数', min: 0, max: Infinity },
+    { field: 'productivityFactor', label: '生産性係数', min: 0, max: Infinity },
+    { field: 'relativeWage', label: '賃金水準', min: 0.01, max: Infinity }, // Must stay above 0
+    { field: 'incomeEffect', label: '所得効果', min: 0, max: Infinity },
+    { field: 'participationElasticity', label: '参加弾力性', min: 0, max: Infinity },
+    { field: 'hoursElasticity', label: '時間弾力性', min: 0, max: Infinity }
+];
+
+/**
+ * Reference magnitudes for fields whose current value is zero (a relative range would not move them).
+ */
+const SENSITIVITY_ZERO_REFERENCE = {
+    incomeTaxRateIncrease: 0.05,
+    consumptionTaxRateIncrease: 0.05,
+    corpTaxRateIncrease: 0.05,
+    govBondIssue: 10000000000000,
+    welfareReduction: 10000000000000,
+    'demographics.netMigration': 100000,
+    // Additional funding sources: a quarter of the slider range
+    ...Object.fromEntries(FUNDING_SOURCES.map(source =>
+        [`fundingSourceRates.${source.id}`, source.rate.max / source.rate.displayScale / 4]))
+};
+
+/**
+ * Range each field may take when perturbed (fields not listed: 0 or more). Bounds may be functions of the
+ * current parameters for fields ordered against another (elderly within adults, means-test start before end).
+ */
+const SENSITIVITY_BOUNDS = {
+    AdultRatio: { min: (params) => params.ElderlyRatio, max: 1 },
+    ElderlyRatio: { max: (params) => params.AdultRatio },
+    'benefitDesignOptions.nitTaperRate': { max: 1 },
+    'benefitDesignOptions.meansTestStart': { max: (params) => params.benefitDesignOptions.meansTestEnd },
+    'benefitDesignOptions.meansTestEnd': { min: (params) => params.benefitDesignOptions.meansTestStart },
+    'benefitDesignOptions.partialShare': { max: 1 },
+    baseIncomeTaxRate: { max: 1 },
+    baseConsumptionTaxRate: { max: 1 },
+    baseCorpTaxRate: { max: 1 },
+    incomeTaxRateIncrease: { max: 1 },
+    consumptionTaxRateIncrease: { max: 1 },
+    corpTaxRateIncrease: { max: 1 },
+    'corpTaxIncidence.householdShare': { max: 1 },
+    'indexation.dividendShare': { max: 1 },
+    'demographics.mortalityImprovement': { max: 1 },
+    'demographics.netMigration': { min: -Infinity }, // Net emigration is possible
+    'modelAssumptions.consumptionTaxPassThrough': { max: 1 },
+    'modelAssumptions.effectiveInterestRate': { max: 1 },
+    'modelAssumptions.bondYield': { max: 1 },
+    'modelAssumptions.bondAverageMaturity': { min: 1 },
+    // Additional funding sources: the slider range
+    ...Object.fromEntries(FUNDING_SOURCES.map(source =>
+        [`fundingSourceRates.${source.id}`, { max: source.rate.max / source.rate.displayScale }]))
+};
+
+/**
+ * Bounds of a field for the current parameters.
+ * @returns {Object} { min, max }
+ */
+function sensitivityBounds(path, params) {
+    const bounds = SENSITIVITY_BOUNDS[path] || {};
+    const resolve = (bound, fallback) => typeof bound === 'function' ? bound(params) : (bound ?? fallback);
+    return { min: resolve(bounds.min, 0), max: resolve(bounds.max, Infinity) };
+}
+
+/**
+ * Fields that are not scalar assumptions (tax schedule, per-household overrides, per-bracket reforms, rollout plan).
+ */
+const SENSITIVITY_EXCLUDED_FIELDS = ['taxSchedule', 'householdWeights', 'bracketRateIncreases', 'replacedWelfarePrograms', 'rollout'];
+
+/**
+ * Lists numeric leaves of an EconomyParameters instance as dotted paths (e.g. 'corpTaxIncidence.householdShare').
+ */
+function collectNumericFields(params) {
+    const paths = [];
+    const walk = (obj, prefix) => {
+        Object.entries(obj).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (!prefix && SENSITIVITY_EXCLUDED_FIELDS.includes(key)) return;
+            if (typeof value === 'number') paths.push(path);
+            else if (value && typeof value === 'object' && !Array.isArray(value)) walk(value, path);
+        });
+    };
+    walk(params, '');
+    return paths;
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((target, key) => target[key], obj);
+}
+
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => target[key], obj)[last] = value;
+}
+
+class SensitivityAnalysis {
+    /**
+     * @param {EconomyParameters} params - Current settings (the baseline)
+     * @param {Array<Household>} households
+     * @param {Object} aiScenario - { pace, investment, years, jobGroups } for TimelineEngine
+     * @param {Object} options - { range: relative perturbation (0.2 = +-20%) }
+     */
+    constructor(params, households, aiScenario, { range = 0.2 } = {}) {
+        this.params = params.clone(); // Chunked runs must not see later edits
+        this.households = households.map(hh => hh.clone()); // Runs must not overwrite displayed results
+        this.aiScenario = aiScenario;
+        this.range = range;
+    }
+
+    /**
+     * Static metrics (SimulationEngine) and final-year debt (TimelineEngine) for a parameter set.
+     */
+    evaluate(params, timelineEngine = new TimelineEngine(this.aiScenario.jobGroups)) {
+        const results = new SimulationEngine(params, this.households).run();
+        const timeline = timelineEngine.runSimulation(params, this.aiScenario);
+        return {
+            shortfall: results.shortfall.toNumber(),
+            gdpImpact: results.gdpImpact,
+            finalDebt: timeline[timeline.length - 1].debt,
+            povertyRate: results.poverty.after.povertyRate
+        };
+    }
+
+    /**
+     * Builds a result row from the metrics at the low and high input values.
+     */
+    buildRow(fields, low, high) {
+        const swing = {};
+        SENSITIVITY_METRICS.forEach(metric => {
+            swing[metric.key] = Math.abs(high[metric.key] - low[metric.key]);
+        });
+        return { ...fields, low, high, swing };
+    }
+
+    /**
+     * Lists every perturbation without running it.
+     * @returns {Object} { tasks: [() => row], skipped } - each task runs the low and high value of one input
+     */
+    plan() {
+        const tasks = [];
+        const skipped = [];
+
+        // 1. EconomyParameters fields
+        collectNumericFields(this.params).forEach(path => {
+            const baseValue = getPath(this.params, path);
+            const reference = baseValue !== 0 ? Math.abs(baseValue) : SENSITIVITY_ZERO_REFERENCE[path];
+            if (!reference) {
+                skipped.push(path);
+                return;
+            }
+            const delta = reference * this.range;
+            const { min, max } = sensitivityBounds(path, this.params);
+            const clamp = (value) => Math.min(max, Math.max(min, value));
+            const lowValue = clamp(baseValue - delta);
+            const highValue = clamp(baseValue + delta);
+
+            const perturbed = (value) => {
+                const copy = this.params.clone();
+                setPath(copy, path, value);
+                return this.evaluate(copy);
+            };
+            tasks.push(() => this.buildRow(
+                { key: path, label: SENSITIVITY_LABELS[path] || path, kind: 'parameter', baseValue, lowValue, highValue },
+                perturbed(lowValue),
+                perturbed(highValue)
+            ));
+        });
+
+        // 2. JobGroup factors (timeline only); perturbed values stay within the ranges validateJobGroups accepts
+        const jobGroups = this.aiScenario.jobGroups || DEFAULT_JOB_GROUPS;
+        const reference = new TimelineEngine(jobGroups);
+        reference.jobGroups.forEach((group, index) => {
+            JOB_GROUP_SENSITIVITY_FIELDS.forEach(({ field, label, min, max }) => {
+                const baseValue = Number(group[field]);
+                const delta = baseValue * this.range;
+                const clamp = (value) => Math.min(max, Math.max(min, value));
+                const lowValue = clamp(baseValue - delta);
+                const highValue = clamp(baseValue + delta);
+
+                const perturbed = (value) => {
+                    const groups = jobGroups.map((config, i) => i === index ? { ...config, [field]: value } : config);
+                    return this.evaluate(this.params, new TimelineEngine(groups));
+                };
+                tasks.push(() => this.buildRow(
+                    { key: `jobGroups.${group.id}.${field}`, label: `${group.label}: ${label}`, kind: 'jobGroup', baseValue, lowValue, highValue },
+                    perturbed(lowValue),
+                    perturbed(highValue)
+                ));
+            });
+        });
+
+        return { tasks, skipped };
+    }
+
+    /**
+     * Runs every perturbation.
+     * @returns {Object} { range, baseline, rows: [{ key, label, kind, baseValue, lowValue, highValue, low, high, swing }], skipped }
+     */
+    run() {
+        const baseline = this.evaluate(this.params);
+        const { tasks, skipped } = this.plan();
+        return { range: this.range, baseline, rows: tasks.map(task => task()), skipped };
+    }
+
+    /**
+     * run() a slice at a time (see runInTimeSlices); onDone receives the result.
+     * @param {Object} callbacks - { onProgress(done, total), onDone(result) }
+     * @returns {Function} Cancels the run
+     */
+    runInChunks({ onProgress, onDone }) {
+        const { tasks, skipped } = this.plan();
+        let baseline = null;
+        const rows = [];
+        return runInTimeSlices(tasks.length + 1, (index) => {
+            if (index === 0) baseline = this.evaluate(this.params);
+            else rows.push(tasks[index - 1]());
+        }, {
+            onProgress,
+            onDone: () => onDone({ range: this.range, baseline, rows, skipped })
+        });
+    }
+
+    /**
+     * Rows sorted by swing in one metric (largest first), for a tornado chart.
+     */
+    static rankBy(result, metricKey, limit = Infinity) {
+        return result.rows
+            .filter(row => row.swing[metricKey] > 0)
+            .sort((a, b) => b.swing[metricKey] - a.swing[metricKey])
+            .slice(0, limit);
+    }
+
+    /**
+     * CSV export: one row per perturbed input, low / high / swing for every metric.
+     */
+    static toCSV(result) {
+        const header = ['key', 'label', 'kind', 'baseValue', 'lowValue', 'highValue'];
+        SENSITIVITY_METRICS.forEach(metric => {
+            header.push(`${metric.key}_low`, `${metric.key}_high`, `${metric.key}_swing`);
+        });
+
+        const lines = [header.join(',')];
+        lines.push(['baseline', 'ベースライン', '', '', '', '',
+            ...SENSITIVITY_METRICS.flatMap(metric => [result.baseline[metric.key], result.baseline[metric.key], 0])
+        ].map(escapeCSV).join(','));
+        result.rows.forEach(row => {
+            lines.push([row.key, row.label, row.kind, row.baseValue, row.lowValue, row.highValue,
+                ...SENSITIVITY_METRICS.flatMap(metric => [row.low[metric.key], row.high[metric.key], row.swing[metric.key]])
+            ].map(escapeCSV).join(','));
+        });
+        return lines.join('\n');
+    }
+}
+
+window.SENSITIVITY_METRICS = SENSITIVITY_METRICS;
+window.SensitivityAnalysis = SensitivityAnalysis;
@@ -0,0 +1,140 @@
+/**
+ * tax_system.js
+ * Progressive income tax schedule (national income tax + resident tax) used for household-level tax burdens.
+ */
+
+/**
+ * Default national income tax brackets (Japan, 2015-).
+ * upTo: upper bound of taxable income for the bracket (JPY), null = no upper bound
+ */
+const DEFAULT_INCOME_TAX_BRACKETS = [
+    { upTo: 1950000, rate: 0.05 },
+    { upTo: 3300000, rate: 0.10 },
+    { upTo: 6950000, rate: 0.20 },
+    { upTo: 9000000, rate: 0.23 },
+    { upTo: 18000000, rate: 0.33 },
+    { upTo: 40000000, rate: 0.40 },
+    { upTo: null, rate: 0.45 }
+];
+
+/**
+ * Represents an income tax schedule with deductions and resident tax.
+ * Households are taxed as one primary earner (simplification for the MVP):
+ * the second adult is treated as a dependent spouse and every child as a dependent.
+ */
+class TaxSchedule {
+    /**
+     * @param {Array} brackets - [{ upTo, rate }] ordered from lowest to highest
+     * @param {number} basicDeduction - Basic deduction for income tax (JPY)
+     * @param {number} spouseDeduction - Spousal deduction for income tax (JPY)
+     * @param {number} dependentDeduction - Deduction per dependent child for income tax (JPY)
+     * @param {number} socialInsuranceRate - Social insurance contributions deducted from income (0.0 - 1.0)
+     * @param {number} residentTaxRate - Flat income-based resident tax rate (prefecture + municipality)
+     * @param {number} residentBasicDeduction - Basic deduction for resident tax (JPY)
+     * @param {number} residentSpouseDeduction - Spousal deduction for resident tax (JPY)
+     * @param {number} residentDependentDeduction - Deduction per dependent child for resident tax (JPY)
+     * @param {number} residentPerCapita - Per-capita levy of the resident tax (JPY)
+     */
+    constructor({
+        brackets = DEFAULT_INCOME_TAX_BRACKETS,
+        basicDeduction = 480000,
+        spouseDeduction = 380000,
+        dependentDeduction = 380000,
+        socialInsuranceRate = 0.15,
+        residentTaxRate = 0.10,
+        residentBasicDeduction = 430000,
+        residentSpouseDeduction = 330000,
+        residentDependentDeduction = 330000,
+        residentPerCapita = 5000
+    } = {}) {
+        this.brackets = brackets.map(b => ({ upTo: b.upTo, rate: b.rate }));
+        this.basicDeduction = basicDeduction;
+        this.spouseDeduction = spouseDeduction;
+        this.dependentDeduction = dependentDeduction;
+        this.socialInsuranceRate = socialInsuranceRate;
+        this.residentTaxRate = residentTaxRate;
+        this.residentBasicDeduction = residentBasicDeduction;
+        this.residentSpouseDeduction = residentSpouseDeduction;
+        this.residentDependentDeduction = residentDependentDeduction;
+        this.residentPerCapita = residentPerCapita;
+    }
+
+    /**
+     * Returns a reformed copy of this schedule.
+     * @param {number} uniformIncrease - Rate increase applied to every bracket (e.g. 0.01 = +1pt)
+     * @param {Array<number>} bracketIncreases - Additional increase per bracket, same order as brackets
+     */
+    withRateIncreases(uniformIncrease = 0, bracketIncreases = []) {
+        const reformed = new TaxSchedule(this);
+        reformed.brackets = this.brackets.map((b, i) => ({
+            upTo: b.upTo,
+            rate: Math.min(1, Math.max(0, b.rate + uniformIncrease + (bracketIncreases[i] || 0)))
+        }));
+        return reformed;
+    }
+
+    /**
+     * Employment income deduction (給与所得控除, 2020-).
+     */
+    employmentIncomeDeduction(income) {
+        if (income <= 1625000) return Math.min(income, 550000);
+        if (income <= 1800000) return income * 0.4 - 100000;
+        if (income <= 3600000) return income * 0.3 + 80000;
+        if (income <= 6600000) return income * 0.2 + 440000;
+        if (income <= 8500000) return income * 0.1 + 1100000;
+        return 1950000;
+    }
+
+    /**
+     * Applies the bracket schedule to a taxable income.
+     */
+    applyBrackets(taxableIncome) {
+        let tax = 0;
+        let lower = 0;
+        for (const bracket of this.brackets) {
+            const upper = bracket.upTo === null ? Infinity : bracket.upTo;
+            if (taxableIncome <= lower) break;
+            tax += (Math.min(taxableIncome, upper) - lower) * bracket.rate;
+            lower = upper;
+        }
+        return tax;
+    }
+
+    /**
+     * Calculates direct taxes for a household.
+     * @param {Household} household
+     * @returns {Object} { taxableIncome, incomeTax, residentTax, total } as Decimal (JPY / year)
+     */
+    calculate(household) {
+        const income = new Decimal(household.annualIncome).toNumber();
+        const hasSpouse = household.adults >= 2;
+
+        const earnedIncome = Math.max(0, income - this.employmentIncomeDeduction(income));
+        const afterSocialInsurance = Math.max(0, earnedIncome - income * this.socialInsuranceRate);
+
+        // Income Tax
+        const taxableIncome = Math.max(0, afterSocialInsurance
+            - this.basicDeduction
+            - (hasSpouse ? this.spouseDeduction : 0)
+            - this.dependentDeduction * household.children);
+        const incomeTax = this.applyBrackets(taxableIncome);
+
+        // Resident Tax (income-based flat rate + per-capita levy)
+        const residentTaxable = Math.max(0, afterSocialInsurance
+            - this.residentBasicDeduction
+            - (hasSpouse ? this.residentSpouseDeduction : 0)
+            - this.residentDependentDeduction * household.children);
+        const residentTax = residentTaxable > 0
+            ? residentTaxable * this.residentTaxRate + this.residentPerCapita
+            : 0;
+
+        return {
+            taxableIncome: new Decimal(Math.round(taxableIncome)),
+            incomeTax: new Decimal(Math.round(incomeTax)),
+            residentTax: new Decimal(Math.round(residentTax)),
+            total: new Decimal(Math.round(incomeTax) + Math.round(residentTax))
+        };
+    }
+}
+
+window.TaxSchedule = TaxSchedule;
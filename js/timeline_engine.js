@@ -3,8 +3,25 @@
  * Handles multi-year time-series simulation incorporating AI impacts and behavioral economics parameters.
  */
 
-// const Decimal = window.Decimal; // Access directly in classes to avoid load order issues
+// Decimal is a global: decimal.js from the CDN in the browser, cli/load_engines.js in Node
 
+/**
+ * Marginal propensity to consume of the average household (the timeline has no household models).
+ */
+const TIMELINE_HOUSEHOLD_MPC = 0.75;
+
+/**
+ * Simulation horizon in years (default and upper limit).
+ */
+const TIMELINE_DEFAULT_YEARS = 10;
+const TIMELINE_MAX_YEARS = 50;
+
+/**
+ * Average annual earnings per worker (JPY) and the marginal tax rate on them before the reform
+ * (income and resident tax plus social insurance), for the labour supply response to the BI.
+ */
+const TIMELINE_AVERAGE_EARNINGS = 4600000;
+const TIMELINE_BASE_MARGINAL_TAX = 0.3;
 
 /**
  * Represents a job/skill category with specific AI exposure characteristics.
@@ -12,85 +29,86 @@
  */
 class JobGroup {
     /**
-     * @param {string} id - 'high_skill', 'mid_skill', 'low_service', 'manual'
+     * @param {string} id - Unique identifier (e.g. 'high_skill', 'mid_admin'; see job_groups.js)
      * @param {string} label - Display label
      * @param {number} share - Share of the labor force (0.0 - 1.0)
      * @param {number} aiExposure - Exposure to AI automation (0.0 - 1.0)
      * @param {number} displacementFactor - Sensitivity to substitution (negative impact on employment)
      * @param {number} productivityFactor - Sensitivity to augmentation (positive impact on wages/output)
+     * @param {Object} labourSupply - relativeWage, incomeEffect, participationElasticity, hoursElasticity
+     *        (omitted fields: LABOUR_SUPPLY_DEFAULTS)
      */
-    constructor({ id, label, share, aiExposure, displacementFactor, productivityFactor }) {
+    constructor({ id, label, share, aiExposure, displacementFactor, productivityFactor, ...labourSupply }) {
         this.id = id;
         this.label = label;
-        this.share = new window.Decimal(share);
-        this.aiExposure = new window.Decimal(aiExposure);
-        this.displacementFactor = new window.Decimal(displacementFactor); // Risk of job loss
-        this.productivityFactor = new window.Decimal(productivityFactor); // Potential for wage gain
+        this.share = new Decimal(share);
+        this.aiExposure = new Decimal(aiExposure);
+        this.displacementFactor = new Decimal(displacementFactor); // Risk of job loss
+        this.productivityFactor = new Decimal(productivityFactor); // Potential for wage gain
+
+        // Labour supply response to the BI
+        const { relativeWage, incomeEffect, participationElasticity, hoursElasticity } = { ...LABOUR_SUPPLY_DEFAULTS, ...labourSupply };
+        this.relativeWage = relativeWage; // Earnings relative to the average worker
+        this.incomeEffect = incomeEffect; // Earnings given up per yen of BI
+        this.participationElasticity = participationElasticity;
+        this.hoursElasticity = hoursElasticity;
 
         // Dynamic state
-        this.currentEmploymentRate = new window.Decimal(1.0); // Starts at full employment relative to share
-        this.currentWageIndex = new window.Decimal(1.0); // Starts at 1.0 baseline
+        this.currentEmploymentRate = new Decimal(1.0); // Starts at full employment relative to share
+        this.currentWageIndex = new Decimal(1.0); // Starts at 1.0 baseline
     }
 }
 
+/**
+ * Labour supply response of a job group to the BI in a year (changes in labour input, e.g. -0.02 = -2%).
+ * The income effect follows the net transfer (BI kept at work minus the extra tax on the group's earnings).
+ * The BI a worker keeps follows the benefit design, so tapers (NIT, means test) raise the marginal and
+ * participation tax rates on top of the funding taxes; a universal BI funded by borrowing only has the income effect.
+ * @param {Object} group - Job group state (labour supply fields and currentWageIndex)
+ * @param {EconomyParameters} params
+ * @param {number} realBiMonthly - Working-age adult BI in year-0 prices (JPY)
+ * @param {number} taxIncrease - Rise in the marginal tax rate from the funding taxes
+ * @returns {Object} { income, participation, hours }
+ */
+function laborSupplyResponse(group, params, realBiMonthly, taxIncrease) {
+    const earnings = TIMELINE_AVERAGE_EARNINGS * group.relativeWage * group.currentWageIndex.toNumber();
+    const design = getBenefitDesign(params.benefitDesign);
+    const amountScale = params.monthlyUBI > 0 ? realBiMonthly / params.monthlyUBI : 0;
+    const payment = (annualIncome) => design.calculatePayment(
+        { annualIncome, membersByAgeGroup: { adult: 1 }, totalMembers: 1 }, params).toNumber() * amountScale;
+
+    const biAtWork = payment(earnings);
+    const taper = (biAtWork - payment(earnings * 1.01)) / (earnings * 0.01); // BI withdrawn per extra yen earned
+    const netOfTax = (rateIncrease) => Math.log(
+        Math.max(0.01, 1 - TIMELINE_BASE_MARGINAL_TAX - rateIncrease) / (1 - TIMELINE_BASE_MARGINAL_TAX));
+    return {
+        income: -group.incomeEffect * (biAtWork / earnings - taxIncrease),
+        participation: group.participationElasticity * netOfTax(taxIncrease + (payment(0) - biAtWork) / earnings),
+        hours: group.hoursElasticity * netOfTax(taxIncrease + taper)
+    };
+}
+
 /**
  * Engine to run the time-series simulation.
  */
 class TimelineEngine {
-    constructor() {
-        // Define base job groups based on the User's AI report
-        this.jobGroups = [
-            // 1. High Skill / High Exposure (Knowledge Workers: Engineers, Law, Finance)
-            // High exposure but high complementarity (Productivity > Displacement)
-            new JobGroup({
-                id: 'high_skill',
-                label: '高度専門職 (知識労働)',
-                share: 0.25,
-                aiExposure: 0.8,
-                displacementFactor: 0.1, // Low displacement (augmentation)
-                productivityFactor: 0.8  // High productivity gain
-            }),
-            // 2. Mid Skill / High Exposure (Clerical, Admin)
-            // High exposure and high substitution risk
-            new JobGroup({
-                id: 'mid_admin',
-                label: '中技能 (事務・管理)',
-                share: 0.35,
-                aiExposure: 0.7,
-                displacementFactor: 0.6, // High displacement
-                productivityFactor: 0.3
-            }),
-            // 3. Low Skill / Low Exposure (Service, Manual, Care)
-            // Low exposure, low productivity gain, stable demand
-            new JobGroup({
-                id: 'service_care',
-                label: '対人サービス・ケア',
-                share: 0.25,
-                aiExposure: 0.2,
-                displacementFactor: 0.05,
-                productivityFactor: 0.1
-            }),
-            // 4. Low Skill / Mid Exposure (Routine Manual/Sales)
-            // Moderate risk from robotics/AI kiosks
-            new JobGroup({
-                id: 'routine_manual',
-                label: '定型業務 (販売・軽作業)',
-                share: 0.15,
-                aiExposure: 0.4,
-                displacementFactor: 0.4,
-                productivityFactor: 0.2
-            })
-        ];
+    /**
+     * @param {Array<Object>} jobGroups - Group configs (job_groups.js); shares are weights and need not sum to 1
+     */
+    constructor(jobGroups = DEFAULT_JOB_GROUPS) {
+        const errors = validateJobGroups(jobGroups);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        this.jobGroups = jobGroups.map(group => new JobGroup(group));
     }
 
     /**
-     * Runs a 10-year simulation.
+     * Runs the simulation over the AI scenario's horizon.
      * @param {Object} params - EconomyParameters from Base Model
-     * @param {Object} aiScenario - { pace: 'slow'|'base'|'fast', investment: number }
-     * @returns {Array} - Array of yearly result objects
+     * @param {Object} aiScenario - { pace: 'slow'|'base'|'fast', investment: number, years: horizon (default 10, at most TIMELINE_MAX_YEARS) }
+     * @returns {Array} - Array of yearly result objects (year 0 to the horizon)
      */
     runSimulation(baseParams, aiScenario) {
-        const years = 10;
+        const years = Math.min(TIMELINE_MAX_YEARS, Math.max(1, Math.round(aiScenario.years || TIMELINE_DEFAULT_YEARS)));
         const results = [];
 
         // Scenario Multipliers
@@ -106,24 +124,74 @@ class TimelineEngine {
         // Higher investment in education/tech leads to higher reinstatement.
         // Base 0.4 (4 new jobs for 10 lost), adjusted by investment level (0-100)
         // If investment is high, reinstatement approaches 0.8 or 0.9
+        const assumptions = baseParams.modelAssumptions;
         const educationInvestment = aiScenario.investment || 50; // 0-100 scale
-        const reinstatementRate = 0.4 + (educationInvestment / 200); // 0.4 to 0.9
+        const reinstatementRate = Math.min(1, Math.max(0, assumptions.reinstatementBase + (educationInvestment / 200))); // 0.4 to 0.9 by default
+        let retrainingBoost = 0; // Added by the BI from year 2 (section 4)
+
+        // Price level: consumption tax pass-through (year 1) and demand pull from the deficit-financed injection
+        const priceLevelModel = new PriceLevelModel({
+            consumptionTaxPassThrough: assumptions.consumptionTaxPassThrough,
+            demandPullElasticity: assumptions.demandPullElasticity
+        });
+
+        // Government debt: interest, refinancing and the yield response to debt/GDP (public_finance.js)
+        const debtModel = new PublicDebtModel({
+            initialDebt: 1200, // Trillion JPY
+            initialNominalGdp: 550,
+            effectiveInterestRate: assumptions.effectiveInterestRate,
+            bondYield: assumptions.bondYield,
+            yieldDebtSensitivity: assumptions.yieldDebtSensitivity,
+            averageMaturity: assumptions.bondAverageMaturity
+        });
+
+        // Population (demographics.js): the projection moves each age group from its year-0 size
+        // (targetPopulation and the age ratios, as in the static model) and scales the labour force
+        const demographics = new PopulationProjection({ ...baseParams.demographics, targetPopulation: baseParams.targetPopulation });
+        const basePopulation = demographics.summary();
+        const calibratedPopulation = baseParams.getPopulationByAgeGroup();
+        const totalCalibrated = Object.values(calibratedPopulation).reduce((sum, count) => sum + count, 0);
+        const basicPensionBudget = getWelfareProgram('basic_pension').annualBudget.div(1000000000000); // Trillion JPY
+        const pensionReplaced = baseParams.replacedWelfarePrograms.includes('basic_pension');
 
         // Initial State
-        let currentGdp = new window.Decimal(550); // Trillion JPY (approx)
-        let currentDebt = new window.Decimal(1200); // Trillion JPY
-        let cumulativeInflation = new window.Decimal(1.0);
-        let unemploymentRate = new window.Decimal(0.025); // 2.5% base
+        let currentGdp = new Decimal(550); // Trillion JPY (approx), real (baseline prices)
+        let cumulativeInflation = new Decimal(1.0); // Price level relative to year 0
+        let unemploymentRate = new Decimal(0.025); // 2.5% base
 
         // Clone Job Groups for local mutation
         let groups = this.jobGroups.map(g => ({
             ...g,
-            currentEmploymentRate: new window.Decimal(1.0),
-            currentWageIndex: new window.Decimal(1.0)
+            currentEmploymentRate: new Decimal(1.0),
+            currentWageIndex: new Decimal(1.0)
         }));
-
-        const biAmountMonthly = new window.Decimal(baseParams.monthlyUBI);
-        const annualBiCost = biAmountMonthly.times(12).times(126000000).div(1000000000000); // Trillion JPY
+        const totalShare = groups.reduce((sum, g) => sum.plus(g.share), new Decimal(0)); // Edited tables need not sum to 1
+
+        const biAmountMonthly = new Decimal(baseParams.monthlyUBI); // Working-age adult amount
+        const annualBiCost = baseParams.calculateMonthlyBenefit(baseParams.getPopulationByAgeGroup())
+            .times(12).div(1000000000000); // Trillion JPY
+
+        // Phased rollout (rollout.js): yearly cost and tax rates; the full package is the default
+        const rollout = new RolloutPlan(baseParams.rollout);
+        const fullRevenue = RolloutPlan.taxRevenue(baseParams, baseParams);
+        let previousConsumptionTaxRate = 0;
+
+        // Share of the full BI cost the package funds (bonds, funding taxes, welfare cuts and replaced programmes).
+        // The timeline books planned flows only, so population-driven changes are booked in the same proportion:
+        // a shrinking population cannot turn the unfunded part of the BI into a surplus
+        const plannedFunding = baseParams.replacedWelfarePrograms.map(getWelfareProgram).filter(Boolean)
+            .reduce((sum, program) => sum.plus(program.annualBudget), new Decimal(baseParams.welfareReduction || 0))
+            .plus(baseParams.govBondIssue || 0)
+            .div(1000000000000)
+            .plus(fullRevenue.total);
+        const fundedShare = annualBiCost.gt(0) ? Decimal.min(1, plannedFunding.div(annualBiCost)) : new Decimal(1);
+
+        // Indexation (indexation.js): the amounts follow the previous year's prices, wages or output.
+        // The extra cost over the year-0 amounts is borrowed unless the tax schedule raises more
+        let indexationState = {
+            priceLevel: 1, realWageIndex: 1, nominalGdp: 550, realGdp: 550,
+            baseNominalGdp: 550, baseRealGdp: 550, baseAnnualCost: annualBiCost.toNumber(), populationIndex: 1
+        };
 
         for (let year = 0; year <= years; year++) {
             if (year === 0) {
@@ -131,9 +199,45 @@ class TimelineEngine {
                 results.push({
                     year: year,
                     gdp: currentGdp.toNumber(),
-                    debt: currentDebt.toNumber(),
+                    realGdp: currentGdp.toNumber(),
+                    debt: debtModel.debt.toNumber(),
                     unemployment: unemploymentRate.toNumber() * 100,
-                    avgWageIndex: 100
+                    avgWageIndex: 100,
+                    inflation: 0,
+                    priceLevel: 100,
+                    biMonthly: biAmountMonthly.toNumber(),
+                    realBiMonthly: biAmountMonthly.toNumber(),
+                    indexFactor: 1,
+                    biCost: 0,
+                    indexationCost: 0,
+                    taxRevenue: 0,
+                    deficit: 0,
+                    primaryDeficit: 0,
+                    interestCost: 0,
+                    interestPayments: debtModel.debt.times(debtModel.effectiveRate).toNumber(),
+                    effectiveRate: debtModel.effectiveRate.times(100).toNumber(),
+                    marketYield: debtModel.marketYield(debtModel.initialDebtToGdp).times(100).toNumber(),
+                    debtToGdp: debtModel.initialDebtToGdp.times(100).toNumber(),
+                    rMinusG: null, // No growth in year 0
+                    rolloutShare: 0,
+                    population: totalCalibrated,
+                    elderlyShare: totalCalibrated > 0 ? calibratedPopulation.elderly / totalCalibrated * 100 : 0,
+                    labourForce: basePopulation.labourForce,
+                    births: null, // Flows start in year 1
+                    deaths: null,
+                    demographicCost: 0,
+                    pensionBudget: basicPensionBudget.toNumber(),
+                    pensionOffset: 0,
+                    reinstatementRate: reinstatementRate * 100,
+                    aiUnemployment: 0,
+                    retrainingUnemployment: 0,
+                    laborSupplyChange: 0,
+                    laborSupplyIncome: 0,
+                    laborSupplyParticipation: 0,
+                    laborSupplyHours: 0,
+                    aiGdpEffect: 0,
+                    laborSupplyGdpEffect: 0,
+                    retrainingGdpEffect: 0
                 });
                 continue;
             }
@@ -141,109 +245,236 @@ class TimelineEngine {
             // --- 1. AI Impact Calculation ---
 
             // Current AI Pressure = Adoption Rate * Year
-            // This pressure is applied to Exposure to generate shocks
-            const aiPressure = new window.Decimal(adoptionRate).times(year);
+            // This pressure is applied to Exposure to generate shocks; adoption saturates at full diffusion (long horizons)
+            const aiPressure = Decimal.min(1, new Decimal(adoptionRate).times(year));
 
-            let totalLaborDemandChange = new window.Decimal(0);
-            let totalProductivityChange = new window.Decimal(0);
+            let totalLaborDemandChange = new Decimal(0);
+            let aiLaborDemand = new Decimal(0); // Without the BI's retraining effect
+            let totalProductivityChange = new Decimal(0);
+            const yearReinstatement = reinstatementRate + retrainingBoost;
 
             groups.forEach(group => {
                 // Displacement Channel: Jobs lost = Exposure * Pressure * DisplacementFactor
-                const displacement = group.aiExposure.times(aiPressure).times(group.displacementFactor);
+                const displacement = group.aiExposure.times(aiPressure).times(group.displacementFactor)
+                    .times(assumptions.displacementScale);
 
                 // Productivity Channel: Wage/Output Gain = Exposure * Pressure * ProductivityFactor
-                const productivity = group.aiExposure.times(aiPressure).times(group.productivityFactor);
+                const productivity = group.aiExposure.times(aiPressure).times(group.productivityFactor)
+                    .times(assumptions.productivityScale);
 
                 // Update Group State
                 // Employment = 1.0 - Displacement + Reinstatement (New tasks)
                 // We assume Reinstatement fills a portion of the "gap" or adds to it
                 // Logic: Net Job Change = -Displacement + (Displacement * ReinstatementRate)
                 // Simplified: Net Loss = Displacement * (1 - ReinstatementRate)
+                // The BI's retraining / start-up effect raises this year's reinstatement (section 4)
 
-                const netJobLoss = displacement.times(new window.Decimal(1).minus(reinstatementRate));
-                group.currentEmploymentRate = new window.Decimal(1).minus(netJobLoss);
+                const netJobLoss = displacement.times(new Decimal(1).minus(yearReinstatement));
+                group.currentEmploymentRate = Decimal.max(0, new Decimal(1).minus(netJobLoss));
+                const aiEmploymentRate = Decimal.max(0, new Decimal(1).minus(displacement.times(1 - reinstatementRate)));
 
                 // Wage Index increases with productivity
-                group.currentWageIndex = new window.Decimal(1).plus(productivity);
+                group.currentWageIndex = new Decimal(1).plus(productivity);
 
-                // Aggregate effects (weighted by share)
-                totalLaborDemandChange = totalLaborDemandChange.plus(group.currentEmploymentRate.times(group.share));
-                totalProductivityChange = totalProductivityChange.plus(productivity.times(group.share));
+                // Aggregate effects (weighted by share of the labour force)
+                const weight = group.share.div(totalShare);
+                totalLaborDemandChange = totalLaborDemandChange.plus(group.currentEmploymentRate.times(weight));
+                aiLaborDemand = aiLaborDemand.plus(aiEmploymentRate.times(weight));
+                totalProductivityChange = totalProductivityChange.plus(productivity.times(weight));
             });
 
+            // --- 1b. Population, Rollout and Indexation ---
+            const population = demographics.step();
+            const populationByAgeGroup = Object.fromEntries(Object.entries(calibratedPopulation).map(([ageGroup, count]) =>
+                [ageGroup, count * population.byAgeGroup[ageGroup] / basePopulation.byAgeGroup[ageGroup]]));
+            const labourForceIndex = new Decimal(population.labourForce).div(basePopulation.labourForce);
+            const baselineGdp = new Decimal(550).times(labourForceIndex); // Real GDP without the reform and AI
+
+            // Cost share of the full package paid this year (at the year-0 population) and the revenue of the scheduled tax rates
+            const scheduledBiCost = rollout.annualCost(baseParams, year); // At year-0 amounts
+            const rolloutShare = annualBiCost.gt(0) ? scheduledBiCost.div(annualBiCost) : new Decimal(1);
+            const projectedBiCost = rollout.annualCost(baseParams, year, populationByAgeGroup);
+            const demographicCost = projectedBiCost.minus(scheduledBiCost); // Population change at year-0 amounts
+            const indexFactor = new Decimal(indexationFactor(baseParams, indexationState));
+            const yearBiCost = projectedBiCost.times(indexFactor);
+            const indexationCost = yearBiCost.minus(projectedBiCost);
+            const yearRates = rollout.ratesInYear(baseParams, year);
+            const yearRevenue = RolloutPlan.taxRevenue(baseParams, yearRates);
+            const biMonthly = new Decimal(rollout.monthlyBenefit(baseParams, 'adult', year)).times(indexFactor);
+            // The funding taxes shrink or grow with the economy's labour force
+            const revenueScale = labourForceIndex;
+
+            // Basic pension: the budget follows the elderly population. When the BI replaces it,
+            // the change in the released budget funds (or no longer funds) the elderly benefit
+            const elderlyIndex = population.byAgeGroup.elderly / basePopulation.byAgeGroup.elderly;
+            const pensionBudget = basicPensionBudget.times(elderlyIndex);
+            const pensionOffset = pensionReplaced
+                ? pensionBudget.minus(basicPensionBudget).times(rollout.benefitShare('elderly', year))
+                : new Decimal(0);
+
+            // --- 1c. Labour Supply Response ---
+            // Income effect, participation and hours by job group at last year's prices, weighted by the wage bill.
+            // Working less lowers output, not the unemployment rate (people leave the labour force or cut hours)
+            const realBiForWork = biMonthly.div(cumulativeInflation).toNumber();
+            const taxIncrease = yearRates.incomeTaxRateIncrease
+                + yearRates.consumptionTaxRateIncrease / (1 + baseParams.baseConsumptionTaxRate + yearRates.consumptionTaxRateIncrease);
+            const wageBill = groups.reduce((sum, g) => sum + g.share.toNumber() * g.relativeWage, 0);
+            const laborSupply = { income: 0, participation: 0, hours: 0 };
+            let laborSupplyChange = 0;
+            groups.forEach(group => {
+                const response = laborSupplyResponse(group, baseParams, realBiForWork, taxIncrease);
+                const change = (response.income + response.participation + response.hours) * assumptions.laborSupplyScale;
+                group.laborSupply = Math.max(0, 1 + change);
+                const weight = group.share.toNumber() * group.relativeWage / wageBill;
+                Object.keys(laborSupply).forEach(key => {
+                    laborSupply[key] += response[key] * assumptions.laborSupplyScale * weight;
+                });
+                laborSupplyChange += (group.laborSupply - 1) * weight;
+            });
+            const laborSupplyFactor = new Decimal(1).plus(laborSupplyChange);
+
+            // Funding timing: taxes raised ahead of the payments withdraw household demand (and borrowing),
+            // taxes raised behind them add demand. The demand effect of the package itself is estimated by the
+            // static model; the timeline adds this timing gap, which moves output and, via Okun's law, unemployment
+            const mpc = TIMELINE_HOUSEHOLD_MPC;
+            const aheadOfPayments = (tax) => yearRevenue[tax].minus(fullRevenue[tax].times(rolloutShare)).times(revenueScale); // Trillion JPY
+            const demandGap = aheadOfPayments('incomeTax').times(-mpc * assumptions.incomeTaxMultiplier)
+                .plus(aheadOfPayments('consumptionTax').times(-mpc * assumptions.consumptionTaxMultiplier))
+                .plus(aheadOfPayments('corporateTax').times(-assumptions.corpTaxMultiplier))
+                .plus(aheadOfPayments('fundingSources').times(-mpc * fullRevenue.fundingSourcesMultiplier))
+                .plus(aheadOfPayments('total').times(assumptions.bondMultiplier)); // Less borrowing, less crowding out
+            const demandGapRatio = demandGap.div(baselineGdp); // Share of baseline GDP
+
             // --- 2. Macro Calculation ---
 
             // Unemployment Rate Update
             // Base Unemployment + (1 - Total Labor Demand)
             // Note: Total Labor Demand starts at 1.0. If it drops to 0.95, unemp adds 5%.
-            const structuralUnemployment = new window.Decimal(1).minus(totalLaborDemandChange);
-            unemploymentRate = new window.Decimal(0.025).plus(structuralUnemployment).clamp(0, 0.5); // Cap at 50%
+            const structuralUnemployment = new Decimal(1).minus(totalLaborDemandChange);
+            unemploymentRate = new Decimal(0.025).plus(structuralUnemployment)
+                .minus(demandGapRatio.times(assumptions.okunCoefficient))
+                .clamp(0, 0.5); // Cap at 50%
 
             // GDP Calculation
             // GDP = BaseGDP * LaborInput * Productivity
-            // LaborInput ~ TotalLaborDemand
+            // LaborInput ~ TotalLaborDemand * Labour force (relative to year 0)
             // Productivity ~ (1 + TotalProductivityChange)
-            const growthFactor = totalLaborDemandChange.times(new window.Decimal(1).plus(totalProductivityChange));
-            currentGdp = new window.Decimal(550).times(growthFactor);
-
-            // --- 3. Fiscal Calculation (Debt) ---
+            const growthFactor = totalLaborDemandChange.times(new Decimal(1).plus(totalProductivityChange));
+            currentGdp = baselineGdp.times(growthFactor).times(laborSupplyFactor).times(new Decimal(1).plus(demandGapRatio));
 
-            // Revenue: Assume tax revenue scales with GDP
-            // Base Tax Revenue ~ 100 Trillion (approx) -> scales with GDP ratio
-            const baseTaxRevenue = new window.Decimal(100).times(currentGdp.div(550));
+            // Contributions to real GDP (before the funding timing gap): AI, the BI's retraining effect and labour supply
+            const aiGdpEffect = baselineGdp.times(aiLaborDemand.times(new Decimal(1).plus(totalProductivityChange)).minus(1));
+            const retrainingGdpEffect = baselineGdp.times(totalLaborDemandChange.minus(aiLaborDemand))
+                .times(new Decimal(1).plus(totalProductivityChange));
+            const laborSupplyGdpEffect = baselineGdp.times(growthFactor).times(laborSupplyFactor.minus(1));
 
-            // Expenditure: Social Security (Variable) + BI Cost (Fixed) + Others
-            // We assume Base Expenditure matches Base Revenue initially for simplicity
-            let annualDeficit = annualBiCost.minus(baseTaxRevenue.times(0.1)); // Rough placeholder: assume 10% of revenue gap is deficit?
-            // BETTER: User defined funding gap.
-            // From Base Model, we know "govBondIssue" for the single year.
-            // Let's rely on the baseParams tax hikes.
-
-            // Calculate funding gap roughly using the Base Model logic scaled
-            // For MVP time-series, let's assume the "Net Cost" from the main simulation 
-            // is the Structural Deficit added each year, adjusted for GDP growth/shrink.
-
-            // If GDP shrinks, tax revenue shrinks, deficit grows.
-            // If GDP grows, tax revenue grows, deficit shrinks.
+            // --- 3. Fiscal Calculation (Debt) ---
 
-            // Let's take the user's defined "GovBond" preference from the main logic as the starting deficit.
-            // If the user selected "Tax Funded", starting deficit is 0.
-            // We need to pass the "Initial Deficit" from the main view logic ideally.
-            // For now, let's approximate: 
-            // Deficit_t = (Annual_BI_Cost - Tax_Hike_Revenue) * (Assessment based on GDP)
-            // But simplify: Deficit adds to debt.
+            // Planned deficit: the bonds issued in the base model (JPY -> trillion)
+            const initialDeficit = new Decimal(baseParams.govBondIssue || 0).div(1000000000000);
 
-            // Note: We need to know how much was funded by bonds in the main inputs.
-            // We will calculate a "Primary Balance" impact.
-            // Assume the user chose parameters that result in X Trillion deficit in Year 1.
-            const initialDeficit = new Decimal(baseParams.govBondIssue || 0); // User input bond amount
+            // Rollout: the bonds and tax revenue of the full package fund the cost share paid this year;
+            // taxes raised ahead of (behind) the payments reduce (add to) the borrowing.
+            // Population change moves the BI cost, the tax base and a replaced pension budget (funded share only)
+            const plannedDeficit = initialDeficit.times(rolloutShare)
+                .plus(fullRevenue.total.times(rolloutShare).minus(yearRevenue.total).times(revenueScale))
+                .plus(demographicCost.minus(pensionOffset).times(fundedShare))
+                .plus(indexationCost);
 
             // Deficit scales inversely with GDP growth (Automatic stabilizers logic simplified)
             // If GDP drops 10%, Deficit might increase due to lower tax receipt.
-            const gdpRatio = currentGdp.div(550);
-            const dynamicDeficit = initialDeficit.plus(annualBiCost.times(new window.Decimal(1).minus(gdpRatio).times(0.5))); // Sensitivity
-
-            currentDebt = currentDebt.plus(dynamicDeficit);
+            // Population change happens with or without the reform, so GDP is compared with the demographic baseline
+            const gdpRatio = currentGdp.div(baselineGdp);
+            const dynamicDeficit = plannedDeficit.plus(yearBiCost.times(new Decimal(1).minus(gdpRatio).times(0.5))); // Sensitivity
+
+            // --- 3b. Price Level ---
+            // Each consumption tax step shifts prices once; deficit-financed injection pulls prices every year.
+            // The indexation increase counts in year-0 prices, so price indexation does not feed on itself
+            const realIndexationCost = indexationCost.div(indexationState.priceLevel);
+            const consumptionTaxInflation = priceLevelModel.consumptionTaxEffect({
+                consumptionTaxRateIncrease: yearRates.consumptionTaxRateIncrease - previousConsumptionTaxRate,
+                baseConsumptionTaxRate: baseParams.baseConsumptionTaxRate + previousConsumptionTaxRate
+            });
+            previousConsumptionTaxRate = yearRates.consumptionTaxRateIncrease;
+            const demandPullInflation = priceLevelModel.demandPullEffect(
+                dynamicDeficit.minus(indexationCost).plus(realIndexationCost).times(1000000000000));
+            const annualInflation = (1 + consumptionTaxInflation) * (1 + demandPullInflation) - 1;
+            cumulativeInflation = cumulativeInflation.times(1 + annualInflation);
+
+            // --- 3c. Debt Service ---
+            // The primary deficit above plus interest on the debt added by the reform (and on repriced bonds)
+            const fiscal = debtModel.step(dynamicDeficit, currentGdp.times(cumulativeInflation));
+
+            // Next year's amounts are revised on this year's economy
+            indexationState = {
+                ...indexationState,
+                priceLevel: cumulativeInflation.toNumber(),
+                realWageIndex: new Decimal(1).plus(totalProductivityChange).toNumber(),
+                nominalGdp: currentGdp.times(cumulativeInflation).toNumber(),
+                realGdp: currentGdp.div(labourForceIndex).toNumber(), // At the year-0 labour force (AI-driven change only)
+                populationIndex: population.total / basePopulation.total
+            };
 
             // --- 4. BI Mitigating Effect ---
-            // If BI is high (> 100k), Reinstatement Rate increases slightly (entrepreneurship effect)
-            if (biAmountMonthly.gte(100000)) {
-                // minor boost to next year's logic could be added here
-            }
+            // A secure income lets displaced workers retrain or start businesses: next year's reinstatement
+            // rises with this year's real adult BI (entrepreneurshipEffect per 100,000 JPY/month)
+            const realBiMonthly = biMonthly.div(cumulativeInflation).toNumber();
+            retrainingBoost = Math.min(1 - reinstatementRate, Math.max(0, assumptions.entrepreneurshipEffect * realBiMonthly / 100000));
 
             // Store Results
             results.push({
                 year: year,
-                gdp: currentGdp.toNumber(),
-                debt: currentDebt.toNumber(),
+                gdp: currentGdp.times(cumulativeInflation).toNumber(), // Nominal
+                realGdp: currentGdp.toNumber(),
+                debt: fiscal.debt.toNumber(),
                 unemployment: unemploymentRate.toNumber() * 100,
-                avgWageIndex: new window.Decimal(100).times(new window.Decimal(1).plus(totalProductivityChange)).toNumber(),
+                avgWageIndex: new Decimal(100).times(new Decimal(1).plus(totalProductivityChange)).toNumber(),
+                inflation: annualInflation * 100, // % per year
+                priceLevel: cumulativeInflation.times(100).toNumber(), // Year 0 = 100
+                biMonthly: biMonthly.toNumber(), // Working-age adult BI paid this year (JPY)
+                realBiMonthly, // Working-age adult BI in year-0 prices
+                indexFactor: indexFactor.toNumber(), // Amounts relative to year 0
+                biCost: yearBiCost.toNumber(), // Trillion JPY
+                indexationCost: indexationCost.toNumber(), // Cost above the year-0 amounts (trillion JPY)
+                taxRevenue: yearRevenue.total.times(revenueScale).toNumber(), // Funding package revenue (trillion JPY)
+                deficit: fiscal.deficit.toNumber(), // Added to debt: primary deficit + interest cost (trillion JPY)
+                primaryDeficit: dynamicDeficit.toNumber(), // Before interest (trillion JPY)
+                interestCost: fiscal.interestCost.toNumber(), // Interest above the no-reform path (trillion JPY)
+                interestPayments: fiscal.interest.toNumber(), // Interest on the whole debt (trillion JPY)
+                effectiveRate: fiscal.effectiveRate.times(100).toNumber(), // Average interest rate on the debt (%)
+                marketYield: fiscal.marketYield.times(100).toNumber(), // Yield on new bonds (%)
+                debtToGdp: fiscal.debtToGdp.times(100).toNumber(), // Debt / nominal GDP (%)
+                rMinusG: fiscal.rMinusG.times(100).toNumber(), // Effective rate - nominal GDP growth (pt)
+                rolloutShare: rolloutShare.toNumber(), // Share of the full BI cost paid
+                population: Object.values(populationByAgeGroup).reduce((sum, count) => sum + count, 0), // Persons
+                elderlyShare: population.byAgeGroup.elderly / population.total * 100, // Aged 65+ (%)
+                labourForce: population.labourForce, // Persons
+                births: population.births,
+                deaths: population.deaths,
+                demographicCost: demographicCost.toNumber(), // BI cost change from the population (trillion JPY)
+                pensionBudget: pensionBudget.toNumber(), // Basic pension at the projected elderly population (trillion JPY)
+                pensionOffset: pensionOffset.toNumber(), // Change in the released pension budget when replaced (trillion JPY)
+                reinstatementRate: yearReinstatement * 100, // New jobs per displaced job (%)
+                // Unemployment (pt above the 2.5% base) by cause: AI displacement net of reinstatement, BI retraining / start-ups
+                aiUnemployment: new Decimal(1).minus(aiLaborDemand).times(100).toNumber(),
+                retrainingUnemployment: aiLaborDemand.minus(totalLaborDemandChange).times(100).toNumber(),
+                // Labour input change from the BI (%, wage-bill weighted) and its parts
+                laborSupplyChange: laborSupplyChange * 100,
+                laborSupplyIncome: laborSupply.income * 100,
+                laborSupplyParticipation: laborSupply.participation * 100,
+                laborSupplyHours: laborSupply.hours * 100,
+                // Contributions to real GDP (trillion JPY)
+                aiGdpEffect: aiGdpEffect.toNumber(),
+                laborSupplyGdpEffect: laborSupplyGdpEffect.toNumber(),
+                retrainingGdpEffect: retrainingGdpEffect.toNumber(),
                 // Breakdown for charts
                 groups: groups.map(g => ({
                     id: g.id,
                     label: g.label,
+                    share: g.share.div(totalShare).toNumber(), // Share of the labour force
                     employment: g.currentEmploymentRate.toNumber(),
-                    wage: g.currentWageIndex.toNumber()
+                    wage: g.currentWageIndex.toNumber(),
+                    laborSupply: g.laborSupply // Labour input relative to no BI
                 }))
             });
         }
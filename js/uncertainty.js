@@ -0,0 +1,299 @@
+/**
+ * uncertainty.js
+ * Monte Carlo uncertainty analysis. Model assumptions (EconomyParameters.modelAssumptions) are drawn
+ * from user-assigned distributions, the engines run once per draw and results are summarised
+ * as medians with confidence bands.
+ */
+
+/**
+ * Uncertain assumptions and their default distributions.
+ * scope: 'static' (SimulationEngine) | 'timeline' (TimelineEngine) | 'both'
+ * displayScale: divisor for the UI (e.g. 1e12 to edit JPY values in trillions)
+ */
+const UNCERTAIN_ASSUMPTIONS = [
+    {
+        key: 'transferMultiplier', label: '乗数: BI給付による消費', scope: 'static', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.6, mode: 1.0, max: 1.4 }
+    },
+    {
+        key: 'bondMultiplier', label: '乗数: 国債 (クラウディングアウト)', scope: 'static', displayScale: 1,
+        distribution: { type: 'triangular', min: 0, mode: 0.2, max: 0.5 }
+    },
+    {
+        key: 'incomeTaxMultiplier', label: '乗数: 所得税', scope: 'static', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.6, mode: 1.0, max: 1.2 }
+    },
+    {
+        key: 'consumptionTaxMultiplier', label: '乗数: 消費税', scope: 'static', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.8, mode: 1.1, max: 1.4 }
+    },
+    {
+        key: 'corpTaxMultiplier', label: '乗数: 法人税', scope: 'static', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.1, mode: 0.4, max: 0.8 }
+    },
+    {
+        key: 'welfareCutMultiplier', label: '乗数: 福祉削減', scope: 'static', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.7, mode: 1.0, max: 1.2 }
+    },
+    {
+        key: 'consumptionTaxRevenuePerPoint', label: '消費税1%の税収 (兆円, 経験則)', scope: 'static', displayScale: 1000000000000,
+        distribution: { type: 'triangular', min: 2000000000000, mode: 2500000000000, max: 2800000000000 }
+    },
+    {
+        key: 'incomeTaxRevenuePerPoint', label: '所得税1%の税収 (兆円, 経験則)', scope: 'static', displayScale: 1000000000000,
+        distribution: { type: 'triangular', min: 800000000000, mode: 1000000000000, max: 1200000000000 }
+    },
+    {
+        key: 'corpTaxRevenuePerPoint', label: '法人税1%の税収 (兆円)', scope: 'static', displayScale: 1000000000000,
+        distribution: { type: 'triangular', min: 400000000000, mode: 650000000000, max: 800000000000 }
+    },
+    {
+        key: 'consumptionTaxPassThrough', label: '消費税の価格転嫁率 (Pass-through)', scope: 'both', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.6, mode: 1.0, max: 1.0 }
+    },
+    {
+        key: 'demandPullElasticity', label: '需要インフレ弾性 (Demand Pull)', scope: 'both', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.1, mode: 0.3, max: 0.6 }
+    },
+    {
+        key: 'displacementScale', label: '雇用代替係数の倍率 (Displacement)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.5, mode: 1.0, max: 1.8 }
+    },
+    {
+        key: 'productivityScale', label: '生産性係数の倍率 (Productivity)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.5, mode: 1.0, max: 1.5 }
+    },
+    {
+        key: 'reinstatementBase', label: '雇用再創出率の基準値 (Reinstatement)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'uniform', min: 0.2, max: 0.6 }
+    },
+    {
+        key: 'laborSupplyScale', label: '労働供給反応の倍率 (Labour Supply)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'triangular', min: 0, mode: 1.0, max: 2.0 }
+    },
+    {
+        key: 'entrepreneurshipEffect', label: 'BIによる再訓練・起業効果 (Entrepreneurship)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'uniform', min: 0, max: 0.1 }
+    },
+    {
+        key: 'bondYield', label: '新発国債利回り (Bond Yield)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.005, mode: 0.015, max: 0.03 }
+    },
+    {
+        key: 'yieldDebtSensitivity', label: '利回りの債務感応度 (per pt of debt/GDP)', scope: 'timeline', displayScale: 1,
+        distribution: { type: 'triangular', min: 0.0001, mode: 0.0003, max: 0.0006 }
+    }
+];
+
+/**
+ * Draws one value from a distribution.
+ * @param {Object} dist - { type: 'fixed', value } | { type: 'uniform', min, max }
+ *                      | { type: 'triangular', min, mode, max } | { type: 'normal', mean, sd }
+ * @param {Function} random - Uniform [0, 1) generator (Math.random by default)
+ */
+function sampleDistribution(dist, random = Math.random) {
+    switch (dist.type) {
+        case 'uniform':
+            return dist.min + (dist.max - dist.min) * random();
+        case 'triangular': {
+            // Inverse CDF of the triangular distribution
+            const u = random();
+            const range = dist.max - dist.min;
+            if (range <= 0) return dist.mode;
+            const cut = (dist.mode - dist.min) / range;
+            return u < cut
+                ? dist.min + Math.sqrt(u * range * (dist.mode - dist.min))
+                : dist.max - Math.sqrt((1 - u) * range * (dist.max - dist.mode));
+        }
+        case 'normal': {
+            // Box-Muller transform
+            const u1 = 1 - random();
+            const u2 = random();
+            return dist.mean + dist.sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        }
+        default:
+            return dist.value;
+    }
+}
+
+/**
+ * Quantile of a list of numbers (linear interpolation).
+ * @param {Array<number>} values
+ * @param {number} q - 0.0 - 1.0
+ */
+function quantile(values, q) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median and central confidence band of a list of draws.
+ * @param {number} confidence - Width of the band (e.g. 0.9 = 5th to 95th percentile)
+ * @returns {Object} { median, lower, upper }
+ */
+function summariseDraws(values, confidence) {
+    const tail = (1 - confidence) / 2;
+    return {
+        median: quantile(values, 0.5),
+        lower: quantile(values, tail),
+        upper: quantile(values, 1 - tail)
+    };
+}
+
+/**
+ * Milliseconds of work run between two timer callbacks (keeps the page responsive during long runs).
+ */
+const TIME_SLICE_MS = 50;
+
+/**
+ * Runs count steps a slice at a time on timers so that the page stays responsive while they run.
+ * @param {number} count - Number of steps
+ * @param {Function} runStep - Called with the index of each step
+ * @param {Object} callbacks - { onProgress(done, total), onDone() }
+ * @returns {Function} Cancels the steps not yet run (onDone is then never called)
+ */
+function runInTimeSlices(count, runStep, { onProgress = () => {}, onDone }) {
+    let done = 0;
+    let timer = null;
+    const runSlice = () => {
+        const deadline = Date.now() + TIME_SLICE_MS;
+        do {
+            runStep(done);
+            done++;
+        } while (done < count && Date.now() < deadline);
+        onProgress(done, count);
+        if (done < count) timer = setTimeout(runSlice, 0);
+        else onDone();
+    };
+    timer = setTimeout(runSlice, 0);
+    return () => clearTimeout(timer);
+}
+
+class MonteCarloSimulation {
+    /**
+     * @param {EconomyParameters} params - Point-estimate settings
+     * @param {Array<Household>} households
+     * @param {Object} options - { draws, confidence, distributions: { key: distribution }, random }
+     *                           distributions default to UNCERTAIN_ASSUMPTIONS
+     */
+    constructor(params, households, { draws = 200, confidence = 0.9, distributions = {}, random = Math.random } = {}) {
+        this.params = params.clone(); // Chunked runs must not see later edits
+        this.households = households.map(hh => hh.clone()); // Draws must not overwrite displayed results
+        this.draws = draws;
+        this.confidence = confidence;
+        this.random = random;
+        this.distributions = {};
+        UNCERTAIN_ASSUMPTIONS.forEach(item => {
+            this.distributions[item.key] = distributions[item.key] || item.distribution;
+        });
+    }
+
+    /**
+     * Parameters with one draw of every uncertain assumption.
+     */
+    drawParams() {
+        const assumptions = { ...this.params.modelAssumptions };
+        Object.entries(this.distributions).forEach(([key, dist]) => {
+            assumptions[key] = sampleDistribution(dist, this.random);
+        });
+        return this.params.clone({ modelAssumptions: assumptions });
+    }
+
+    /**
+     * Runs the draws a slice at a time (see runInTimeSlices).
+     * @param {Function} runDraw - Called with the parameters of one draw; returns that draw's output
+     * @param {Object} callbacks - { onProgress(done, total), onDone(outputs) }
+     * @returns {Function} Cancels the draws not yet run
+     */
+    runInChunks(runDraw, { onProgress, onDone }) {
+        const outputs = [];
+        return runInTimeSlices(this.draws, () => outputs.push(runDraw(this.drawParams())), {
+            onProgress,
+            onDone: () => onDone(outputs)
+        });
+    }
+
+    /**
+     * Static results of one draw. The total cost depends on the BI design only, not on the uncertain
+     * assumptions, so it is not drawn.
+     */
+    runStaticDraw(params) {
+        const results = new SimulationEngine(params, this.households).run();
+        return {
+            shortfall: results.shortfall.toNumber(),
+            gdpImpact: results.gdpImpact,
+            priceLevel: results.priceLevel.total * 100,
+            povertyRateChange: results.povertyRateChange,
+            povertyRateAfter: results.poverty.after.povertyRate
+        };
+    }
+
+    summariseStatic(outputs) {
+        const summary = { draws: outputs.length, confidence: this.confidence };
+        Object.keys(outputs[0]).forEach(key => {
+            summary[key] = summariseDraws(outputs.map(output => output[key]), this.confidence);
+        });
+        return summary;
+    }
+
+    summariseTimeline(runs) {
+        return runs[0].map((point, index) => {
+            const summary = { year: point.year };
+            ['gdp', 'realGdp', 'debt', 'unemployment', 'avgWageIndex', 'priceLevel'].forEach(key => {
+                summary[key] = summariseDraws(runs.map(run => run[index][key]), this.confidence);
+            });
+            return summary;
+        });
+    }
+
+    /**
+     * Runs SimulationEngine once per draw.
+     * @returns {Object} { draws, confidence, shortfall, gdpImpact, priceLevel, povertyRateChange, povertyRateAfter }
+     *                   Each value is { median, lower, upper } (JPY for money, % / pt otherwise)
+     */
+    runStatic() {
+        return this.summariseStatic(Array.from({ length: this.draws }, () => this.runStaticDraw(this.drawParams())));
+    }
+
+    /**
+     * runStatic() a slice at a time (see runInChunks); onDone receives the summary.
+     * @returns {Function} Cancels the run
+     */
+    runStaticInChunks({ onProgress, onDone }) {
+        return this.runInChunks(params => this.runStaticDraw(params), {
+            onProgress,
+            onDone: (outputs) => onDone(this.summariseStatic(outputs))
+        });
+    }
+
+    /**
+     * Runs TimelineEngine once per draw.
+     * @param {Object} aiScenario - { pace, investment, years, jobGroups }
+     * @returns {Array} [{ year, gdp, realGdp, debt, unemployment, avgWageIndex, priceLevel }] - each { median, lower, upper }
+     */
+    runTimeline(aiScenario, timelineEngine = new TimelineEngine(aiScenario.jobGroups)) {
+        return this.summariseTimeline(Array.from({ length: this.draws },
+            () => timelineEngine.runSimulation(this.drawParams(), aiScenario)));
+    }
+
+    /**
+     * runTimeline() a slice at a time (see runInChunks); onDone receives the yearly bands.
+     * @returns {Function} Cancels the run
+     */
+    runTimelineInChunks(aiScenario, timelineEngine, { onProgress, onDone }) {
+        return this.runInChunks(params => timelineEngine.runSimulation(params, aiScenario), {
+            onProgress,
+            onDone: (runs) => onDone(this.summariseTimeline(runs))
+        });
+    }
+}
+
+window.UNCERTAIN_ASSUMPTIONS = UNCERTAIN_ASSUMPTIONS;
+window.sampleDistribution = sampleDistribution;
+window.summariseDraws = summariseDraws;
+window.runInTimeSlices = runInTimeSlices;
+window.MonteCarloSimulation = MonteCarloSimulation;
@@ -0,0 +1,108 @@
+/**
+ * welfare_programs.js
+ * Catalogue of existing welfare programmes that a BI may replace.
+ * Each programme has a national budget (funding released when replaced)
+ * and a per-household eligibility rule (benefit lost by the household when replaced).
+ */
+
+/**
+ * Unemployment risk by income level (expected share of the year out of work per working-age adult).
+ */
+const UNEMPLOYMENT_RISK = {
+    low: 0.06,
+    lower_mid: 0.04,
+    mid: 0.03,
+    upper_mid: 0.02,
+    high: 0.01
+};
+
+class WelfareProgram {
+    /**
+     * @param {string} id - Unique identifier (e.g. 'child_allowance')
+     * @param {string} label - Display label
+     * @param {number} annualBudget - Current national expenditure (JPY / year)
+     * @param {Function} eligibility - (household, params) => annual benefit of the household (JPY, number)
+     */
+    constructor({ id, label, annualBudget, eligibility }) {
+        this.id = id;
+        this.label = label;
+        this.annualBudget = new Decimal(annualBudget);
+        this.eligibility = eligibility;
+    }
+
+    /**
+     * Annual benefit currently received by a household (JPY, Decimal).
+     */
+    calculateBenefit(household, params) {
+        return new Decimal(Math.max(0, Math.round(this.eligibility(household, params))));
+    }
+}
+
+/**
+ * Equivalised disposable income before benefits (JPY / year).
+ */
+function equivalisedDisposableIncome(household, params) {
+    const directTax = params.taxSchedule.calculate(household).total;
+    return new Decimal(household.annualIncome).minus(directTax).toNumber() / Math.sqrt(household.totalMembers);
+}
+
+const WELFARE_PROGRAMS = [
+    new WelfareProgram({
+        id: 'public_assistance',
+        label: '生活保護 (Public Assistance)',
+        annualBudget: 3700000000000, // ~3.7T
+        // Tops disposable income up to the minimum cost of living (1.5M equivalised)
+        eligibility: (hh, params) => {
+            const minimumLiving = 1500000;
+            return (minimumLiving - equivalisedDisposableIncome(hh, params)) * Math.sqrt(hh.totalMembers);
+        }
+    }),
+    new WelfareProgram({
+        id: 'child_allowance',
+        label: '児童手当 (Child Allowance)',
+        annualBudget: 2100000000000, // ~2.1T
+        // 10,000 JPY/month per child, 30,000 JPY from the third child
+        eligibility: (hh) => {
+            const firstTwo = Math.min(hh.children, 2) * 10000;
+            const thirdOnwards = Math.max(0, hh.children - 2) * 30000;
+            return (firstTwo + thirdOnwards) * 12;
+        }
+    }),
+    new WelfareProgram({
+        id: 'basic_pension',
+        label: '基礎年金 (Basic Pension)',
+        annualBudget: 24000000000000, // ~24T
+        // Full basic pension: ~66,000 JPY/month per elderly person
+        eligibility: (hh) => hh.elderly * 66000 * 12
+    }),
+    new WelfareProgram({
+        id: 'unemployment',
+        label: '失業給付 (Unemployment Benefit)',
+        annualBudget: 700000000000, // ~0.7T
+        // Expected value: Risk * 60% replacement of earnings per working-age adult
+        eligibility: (hh) => {
+            const workingAdults = hh.adults - hh.elderly;
+            if (workingAdults <= 0) return 0;
+            const earningsPerAdult = new Decimal(hh.annualIncome).toNumber() / workingAdults;
+            const risk = UNEMPLOYMENT_RISK[hh.incomeLevel] || UNEMPLOYMENT_RISK.mid;
+            return workingAdults * risk * earningsPerAdult * 0.6;
+        }
+    }),
+    new WelfareProgram({
+        id: 'housing',
+        label: '住宅支援 (Housing Support)',
+        annualBudget: 500000000000, // ~0.5T
+        // 30,000 JPY/month for households below 1.8M equivalised disposable income
+        eligibility: (hh, params) => equivalisedDisposableIncome(hh, params) < 1800000 ? 30000 * 12 : 0
+    })
+];
+
+/**
+ * Look up a welfare programme by id.
+ */
+function getWelfareProgram(id) {
+    return WELFARE_PROGRAMS.find(p => p.id === id);
+}
+
+window.WELFARE_PROGRAMS = WELFARE_PROGRAMS;
+window.getWelfareProgram = getWelfareProgram;